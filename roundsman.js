@@ -1,9 +1,12 @@
 #!/usr/bin/env node
 
+const { AsyncLocalStorage } = require("async_hooks");
 const { spawn, spawnSync } = require("child_process");
+const { EventEmitter } = require("events");
 const { createInterface } = require("readline");
-const { randomUUID } = require("crypto");
+const { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } = require("crypto");
 const fs = require("fs");
+const http = require("http");
 const path = require("path");
 const os = require("os");
 
@@ -21,9 +24,10 @@ const DEFAULT_PROJECT_CONFIG = {
     beforeVisit: "",
     afterVisit: "",
     afterWatchSuccess: "",
+    afterFilesChanged: "",
   },
 };
-const KNOWN_KEYS = new Set(["prompt", "todos", "doing", "lock", "done", "session", "macros", "watch", "hooks"]);
+const KNOWN_KEYS = new Set(["prompt", "todos", "doing", "lock", "done", "session", "macros", "watch", "hooks", "backend", "budget", "autopilot", "agentStatus", "priority", "isolation", "watchFiles", "schedule", "webhooks", "turnTimeout", "stallTimeout", "watchTimeout", "timeoutRetries"]);
 const DEFAULT_GLOBAL_CONFIG = {
   scanRoots: [],
   ignoreDirs: ["node_modules"],
@@ -33,8 +37,20 @@ const DEFAULT_GLOBAL_CONFIG = {
   apiKeyEnvVar: "",
   defaultPermissionMode: "acceptEdits",
   defaultCommandStyle: "slash",
-  checkpoint: { enabled: false, preTurn: true, postTurn: true, autoInitGit: false },
+  checkpoint: { enabled: false, preTurn: true, postTurn: true, autoInitGit: false, snapshots: false },
+  maxConcurrentAgents: 0,
+  budget: { session: 0, daily: 0 },
   claudeBin: "claude",
+  defaultBackend: "claude",
+  backends: {},
+  hookTimeout: "60s",
+  turnTimeout: "off",
+  stallTimeout: "off",
+  watchTimeout: "off",
+  timeoutRetries: 0,
+  api: { enabled: false, port: 7317, token: "" },
+  webhooks: [],
+  notify: { terminal: "", command: "", webhook: "", events: ["done", "error", "needs-input", "budget"], quietHours: "" },
   ui: { showFullPath: true, previewChars: 200 },
 };
 const PROJECT_TAG_WIDTH = 8;
@@ -47,13 +63,53 @@ const ANSI = {
 };
 const PROJECT_COLORS = ["\x1b[31m", "\x1b[32m", "\x1b[33m", "\x1b[34m", "\x1b[35m", "\x1b[36m", "\x1b[91m", "\x1b[92m", "\x1b[93m", "\x1b[94m", "\x1b[95m", "\x1b[96m"];
 const STREAM_PREVIEW_CHARS = 240;
+// stdout/stderr kept per agent run for the fallback result parse and errors
+const MAX_RETAINED_OUTPUT = 1024 * 1024;
+const AGENT_STATUS_PREFIX = "roundsman-status:";
+const AGENT_STATUSES = ["needs_input", "blocked", "done", "failed"];
 const MAX_ACTIVITY = 400;
 const META_ACTIVITY_TAIL = 30;
 const META_SESSION_HISTORY_TAIL = 8;
 const META_HISTORY_TAIL = 20;
+// ledger rows for /meta runs use this in place of a project name
+const META_LEDGER_PROJECT = "(meta)";
+const DEFAULT_HOOK_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_WATCH_DEBOUNCE = "1s";
+// after a timeout's SIGTERM, how long a run gets to exit before SIGKILL
+const TIMEOUT_KILL_GRACE_MS = 5000;
+const MAX_TIMEOUT_RETRIES = 10;
+const SCHEDULE_TICK_MS = 1000;
+// assumed length of one visit when /order simulates ahead
+const ORDER_VISIT_STEP_MS = 1000;
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dom", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dow", min: 0, max: 7 },
+];
+const MAX_MISSED_COUNT = 1000;
 const OUTPUT = {
   color: true,
 };
+// rmLog lines written inside captureOutput/withOutputCapture land in that
+// call's own { lines, quiet } store, so concurrent API requests don't mix
+const OUTPUT_CAPTURE = new AsyncLocalStorage();
+const API_COMMANDS = new Set(["work", "macro", "loop", "stop", "kill", "snooze", "drop"]);
+// these act on the project in the URL; as REPL commands their arg is a selector
+const API_NO_ARG = new Set(["stop", "kill", "drop"]);
+const API_STARTS_TURN = new Set(["work", "macro", "loop"]);
+const MAX_API_BODY = 64 * 1024;
+const EVENT_TYPES = ["activity", "state", "done", "loop"];
+const EVENT_PING_MS = 15 * 1000;
+const NOTIFY_EVENTS = ["done", "error", "needs-input", "budget"];
+const NOTIFY_TERMINAL_STYLES = ["bell", "osc9", "osc777"];
+const NOTIFY_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_EVENTS = ["turn.start", "turn.done", "loop.done", "watch.exit", "meta.done"];
+const DEFAULT_WEBHOOK_RETRIES = 3;
+const MAX_WEBHOOK_RETRIES = 10;
+const WEBHOOK_BACKOFF_MS = 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
 
 // ── Utilities ──────────────────────────────────────────────
 
@@ -81,15 +137,119 @@ function normalizeHooks(v) {
     beforeVisit: typeof raw.beforeVisit === "string" ? raw.beforeVisit.trim() : "",
     afterVisit: typeof raw.afterVisit === "string" ? raw.afterVisit.trim() : "",
     afterWatchSuccess: typeof raw.afterWatchSuccess === "string" ? raw.afterWatchSuccess.trim() : "",
+    afterFilesChanged: typeof raw.afterFilesChanged === "string" ? raw.afterFilesChanged.trim() : "",
   };
 }
 
+// A bare pattern list is shorthand for { paths }.
+function normalizeWatchFiles(v) {
+  const raw = Array.isArray(v) || typeof v === "string" ? { paths: v } : v && typeof v === "object" ? v : {};
+  const debounce = typeof raw.debounce === "number" || typeof raw.debounce === "string" ? raw.debounce : DEFAULT_WATCH_DEBOUNCE;
+  return {
+    paths: normalizeList(raw.paths).map((p) => p.trim()).filter(Boolean),
+    debounce,
+  };
+}
+
+// Entries need a prompt or macro name in `run` and either an `every` interval
+// or a five-field `cron` expression; anything else is dropped.
+function normalizeSchedule(v) {
+  const out = [];
+  for (const e of Array.isArray(v) ? v : []) {
+    if (!e || typeof e !== "object" || Array.isArray(e)) continue;
+    const run = typeof e.run === "string" ? e.run.trim() : "";
+    const every = typeof e.every === "string" && parseDurationMs(e.every) ? e.every.trim() : "";
+    const cron = !every && typeof e.cron === "string" && parseCronExpr(e.cron) ? e.cron.trim() : "";
+    if (!run || (!every && !cron)) continue;
+    out.push({
+      ...(every ? { every } : { cron }),
+      run,
+      lastRun: typeof e.lastRun === "string" && !Number.isNaN(Date.parse(e.lastRun)) ? e.lastRun : "",
+      missed: Number.isInteger(e.missed) && e.missed > 0 ? e.missed : 0,
+    });
+  }
+  return out;
+}
+
+// Unknown event names and terminal styles are dropped, as is a quietHours
+// value that isn't "HH:MM-HH:MM".
+function normalizeNotify(v) {
+  const raw = v && typeof v === "object" && !Array.isArray(v) ? v : {};
+  const webhook = typeof raw.webhook === "string" ? raw.webhook.trim() : "";
+  const quietHours = typeof raw.quietHours === "string" ? raw.quietHours.trim() : "";
+  return {
+    terminal: NOTIFY_TERMINAL_STYLES.includes(raw.terminal) ? raw.terminal : "",
+    command: typeof raw.command === "string" ? raw.command.trim() : "",
+    webhook: /^https?:\/\//.test(webhook) ? webhook : "",
+    events: raw.events === undefined
+      ? [...NOTIFY_EVENTS]
+      : normalizeList(raw.events).map((x) => x.trim().toLowerCase()).filter((x) => NOTIFY_EVENTS.includes(x)),
+    quietHours: parseQuietHours(quietHours) ? quietHours : "",
+  };
+}
+
+// A single hook object or a list of them; hooks without an http(s) url are
+// dropped and `events` defaults to every event.
+function normalizeWebhooks(v) {
+  const list = Array.isArray(v) ? v : v && typeof v === "object" ? [v] : [];
+  const out = [];
+  for (const h of list) {
+    if (!h || typeof h !== "object" || Array.isArray(h)) continue;
+    const url = typeof h.url === "string" ? h.url.trim() : "";
+    if (!/^https?:\/\//.test(url)) continue;
+    out.push({
+      url,
+      secret: typeof h.secret === "string" ? h.secret : "",
+      events: h.events === undefined
+        ? [...WEBHOOK_EVENTS]
+        : normalizeList(h.events).map((x) => x.trim()).filter((x) => WEBHOOK_EVENTS.includes(x)),
+      retries: Number.isInteger(h.retries) && h.retries >= 0 ? Math.min(h.retries, MAX_WEBHOOK_RETRIES) : DEFAULT_WEBHOOK_RETRIES,
+    });
+  }
+  return out;
+}
+
+function normalizePriority(v) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0 ? v : 1;
+}
+
+function normalizeBudgetAmount(v) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0 ? v : 0;
+}
+
+function normalizeProjectBudget(v) {
+  const raw = v && typeof v === "object" && !Array.isArray(v) ? v : {};
+  return {
+    project: normalizeBudgetAmount(raw.project),
+    loop: normalizeBudgetAmount(raw.loop),
+  };
+}
+
+function normalizeBackends(v) {
+  const raw = v && typeof v === "object" && !Array.isArray(v) ? v : {};
+  const out = {};
+  for (const [k, val] of Object.entries(raw)) {
+    const name = String(k).trim();
+    if (!name || !val || typeof val !== "object" || Array.isArray(val)) continue;
+    const type = val.type === "command" ? "command" : val.type === "claude" || val.type === undefined ? "claude" : "";
+    const bin = typeof val.bin === "string" ? val.bin.trim() : "";
+    if (!type || (type === "command" && !bin)) continue;
+    out[name] = {
+      type,
+      bin,
+      args: Array.isArray(val.args) ? val.args.map((x) => String(x)) : [],
+      modelArg: typeof val.modelArg === "string" ? val.modelArg.trim() : "",
+    };
+  }
+  return out;
+}
+
 function nowIso() {
   return new Date().toISOString();
 }
 
-function git(args, cwd) {
-  const r = spawnSync("git", args, { cwd, encoding: "utf-8", stdio: "pipe" });
+function git(args, cwd, env) {
+  const r = spawnSync("git", args, { cwd, env: env || process.env, encoding: "utf-8", stdio: "pipe" });
   return { ok: !r.error && r.status === 0, stdout: r.stdout || "", stderr: r.stderr || "" };
 }
 
@@ -155,14 +315,37 @@ function getProjectPrefix(project) {
 }
 
 function rmLog(msg = "") {
+  const capture = OUTPUT_CAPTURE.getStore();
+  const quiet = Boolean(capture && capture.quiet);
   if (!msg) {
-    process.stdout.write("\n");
+    if (!quiet) process.stdout.write("\n");
     return;
   }
+  if (capture && capture.lines) capture.lines.push(...String(msg).split("\n"));
+  if (quiet) return;
   const prefix = `${style("[R]", `${ANSI.dim}${ANSI.gray}`)} `;
   for (const line of String(msg).split("\n")) process.stdout.write(`${prefix}${line}\n`);
 }
 
+// Runs fn with rmLog redirected into the returned array.
+function captureOutput(fn) {
+  const store = { lines: [], quiet: true };
+  OUTPUT_CAPTURE.run(store, fn);
+  return store.lines;
+}
+
+// Awaits fn while also collecting its rmLog lines (still printed). Callbacks
+// it leaves behind, like a started agent, stop collecting once it resolves.
+async function withOutputCapture(fn) {
+  const store = { lines: [], quiet: false };
+  try {
+    const value = await OUTPUT_CAPTURE.run(store, fn);
+    return { value, lines: store.lines };
+  } finally {
+    store.lines = null;
+  }
+}
+
 function agentLog(project, msg = "") {
   const prefix = `${getProjectPrefix(project)} `;
   for (const line of String(msg).split("\n")) process.stdout.write(`${prefix}${line}\n`);
@@ -257,10 +440,15 @@ function isInputWaitEvent(evt) {
   const e = unwrapStreamEvent(evt);
   if (!e) return false;
   const t = typeof e.type === "string" ? e.type.toLowerCase() : "";
-  if (t.includes("input") && (t.includes("wait") || t.includes("request") || t.includes("required"))) return true;
-  const txt = extractText(e).toLowerCase();
-  if (!txt) return false;
-  return txt.includes("waiting for user input") || txt.includes("awaiting user input") || txt.includes("user input required");
+  return t.includes("input") && (t.includes("wait") || t.includes("request") || t.includes("required"));
+}
+
+function extractWaitQuestion(evt, fallback) {
+  const e = unwrapStreamEvent(evt);
+  if (e && typeof e.question === "string" && e.question.trim()) return e.question.trim().slice(0, 1000);
+  const last = String(fallback || "").trim();
+  if (last) return last.slice(0, 1000);
+  return previewText(extractText(e)) || "(no question text)";
 }
 
 function pushBufferedProgress(project, msg) {
@@ -313,31 +501,109 @@ function hasSuccessfulTurn(config) {
   return false;
 }
 
+// In-process event bus: activity lines, state changes, finished turns and loop
+// progress, for /events subscribers.
+const eventSubscribers = new Set();
+
+function subscribeEvents(fn) {
+  eventSubscribers.add(fn);
+  return () => eventSubscribers.delete(fn);
+}
+
+function publishEvent(type, project, data = {}) {
+  if (!eventSubscribers.size) return;
+  const evt = { type, at: nowIso(), project: project ? project.name : "", ...data };
+  for (const fn of eventSubscribers) fn(evt);
+}
+
+function setProjectState(project, state) {
+  const from = project.state;
+  project.state = state;
+  if (from !== state) publishEvent("state", project, { from, to: state });
+}
+
 function pushActivity(project, msg) {
   if (!msg) return;
   if (!Array.isArray(project.activity)) project.activity = [];
   project.activity.push({ at: nowIso(), msg: String(msg) });
+  publishEvent("activity", project, { msg: String(msg) });
   if (project.activity.length > MAX_ACTIVITY) {
     project.activity = project.activity.slice(-MAX_ACTIVITY);
   }
 }
 
+// A partial line is kept as a list of pieces and joined once its newline
+// arrives, so a multi-megabyte event split over many chunks stays linear.
 function consumeStreamChunk(chunk, state, onLine) {
-  let buf = state.lineBuf + String(chunk || "");
-  let i = buf.indexOf("\n");
+  const text = String(chunk || "");
+  if (!Array.isArray(state.parts)) state.parts = [];
+  let start = 0;
+  let i = text.indexOf("\n");
   while (i >= 0) {
-    const line = buf.slice(0, i).trim();
+    state.parts.push(text.slice(start, i));
+    const line = state.parts.join("").trim();
+    state.parts = [];
     if (line) onLine(line);
-    buf = buf.slice(i + 1);
-    i = buf.indexOf("\n");
+    start = i + 1;
+    i = text.indexOf("\n", start);
   }
-  state.lineBuf = buf;
+  if (start < text.length) state.parts.push(text.slice(start));
 }
 
 function consumeStreamTail(state, onLine) {
-  const line = String(state.lineBuf || "").trim();
+  const line = (Array.isArray(state.parts) ? state.parts : []).join("").trim();
+  state.parts = [];
   if (line) onLine(line);
-  state.lineBuf = "";
+}
+
+// Keeps only the last `max` chars of a stream; trims in batches so appends
+// stay cheap.
+function createOutputTail(max = MAX_RETAINED_OUTPUT) {
+  let text = "";
+  return {
+    push(chunk) {
+      text += chunk;
+      if (text.length > max * 2) text = text.slice(-max);
+    },
+    text() {
+      return text.length > max ? text.slice(-max) : text;
+    },
+  };
+}
+
+// Decodes an agent's stdout with its adapter, for project turns and meta runs
+// alike. Decoded events update `state` (result, cost, turns, session) before
+// reaching onEvent; lines the adapter can't decode go to onRaw and are counted
+// in state.parseErrors.
+function createStreamDecoder(adapter, handlers) {
+  const state = { result: "", cost: 0, turns: 0, sessionId: "", streamSeen: false, parseErrors: 0 };
+  const lines = { parts: [] };
+  const stdout = createOutputTail();
+  const onLine = (line) => {
+    const evt = adapter.decodeLine(line);
+    if (!evt) {
+      state.parseErrors += 1;
+      if (handlers.onRaw) handlers.onRaw(line);
+      return;
+    }
+    state.streamSeen = true;
+    applyStreamEvent(state, evt);
+    handlers.onEvent(evt);
+  };
+  return {
+    state,
+    push(chunk) {
+      const text = String(chunk);
+      stdout.push(text);
+      consumeStreamChunk(text, lines, onLine);
+    },
+    end() {
+      consumeStreamTail(lines, onLine);
+    },
+    stdout() {
+      return stdout.text();
+    },
+  };
 }
 
 function resolveGlobalConfigPath() {
@@ -351,11 +617,42 @@ function resolveMetaHistoryPath() {
   return path.join(path.dirname(resolveGlobalConfigPath()), "meta-history.jsonl");
 }
 
+function resolveLedgerPath() {
+  return path.join(path.dirname(resolveGlobalConfigPath()), "ledger.jsonl");
+}
+
+function resolveWorktreesRoot() {
+  return path.join(path.dirname(resolveGlobalConfigPath()), "worktrees");
+}
+
+function resolveRuntimeStatePath() {
+  return path.join(path.dirname(resolveGlobalConfigPath()), "runtime-state.json");
+}
+
+function resolveWebhookOutboxPath() {
+  return path.join(path.dirname(resolveGlobalConfigPath()), "webhook-outbox.jsonl");
+}
+
+function resolveApiInfoPath() {
+  return path.join(path.dirname(resolveGlobalConfigPath()), "api.json");
+}
+
 function ensureParentDir(filePath) {
   const dir = path.dirname(filePath);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
+// JSON.parse for text that should hold an object; null for anything else,
+// including text that is not JSON (e.g. a torn last line of a .jsonl file).
+function parseJsonObject(text) {
+  try {
+    const v = JSON.parse(text);
+    return v && typeof v === "object" && !Array.isArray(v) ? v : null;
+  } catch {
+    return null;
+  }
+}
+
 function loadMetaHistory(limit = META_HISTORY_TAIL) {
   const file = resolveMetaHistoryPath();
   if (!fs.existsSync(file)) return [];
@@ -378,10 +675,113 @@ function appendMetaHistory(row) {
   fs.appendFileSync(file, `${JSON.stringify(row)}\n`, "utf-8");
 }
 
+function loadRuntimeState() {
+  const file = resolveRuntimeStatePath();
+  if (!fs.existsSync(file)) return null;
+  const raw = fs.readFileSync(file, "utf-8");
+  if (!raw.trim()) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch (err) {
+    const detail = err instanceof SyntaxError ? formatJsonError(raw, err) : String(err);
+    console.log(`  [warn] invalid runtime state ${file}: ${detail}`);
+    return null;
+  }
+}
+
+function loadLedger() {
+  const file = resolveLedgerPath();
+  if (!fs.existsSync(file)) return [];
+  const raw = fs.readFileSync(file, "utf-8");
+  const out = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    const row = parseJsonObject(line);
+    if (row) out.push(row);
+  }
+  return out;
+}
+
+function appendLedger(row) {
+  const file = resolveLedgerPath();
+  ensureParentDir(file);
+  fs.appendFileSync(file, `${JSON.stringify(row)}\n`, "utf-8");
+}
+
+// Appends one finished run to the ledger; a failed write only warns.
+function recordLedger(row) {
+  try {
+    appendLedger({ at: nowIso(), ...row });
+  } catch (err) {
+    rmLog(`[warn] failed to append ledger: ${err && err.message ? err.message : String(err)}`);
+  }
+}
+
+function digestInput(input) {
+  return createHash("sha256").update(String(input || "")).digest("hex").slice(0, 12);
+}
+
+function localDay(d = new Date()) {
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+// Sums ledger cost, optionally only rows at or after `sinceMs`, on local
+// `day`, or for the project in `dir`.
+function sumLedgerSpend(rows, { sinceMs = 0, day = "", dir = "" } = {}) {
+  let cost = 0;
+  for (const r of Array.isArray(rows) ? rows : []) {
+    const t = Date.parse(r.at);
+    if (!Number.isFinite(t) || t < sinceMs || typeof r.cost !== "number") continue;
+    if (day && localDay(new Date(t)) !== day) continue;
+    if (dir && r.dir !== dir) continue;
+    cost += r.cost;
+  }
+  return cost;
+}
+
+// Today's ledger total, read once and then only from where the last check
+// stopped; the ledger is never trimmed, and other instances append to it too.
+const DAILY_SPEND = { file: "", day: "", cost: 0, offset: 0 };
+
+function loadDailySpend(day = localDay()) {
+  const file = resolveLedgerPath();
+  const stat = fs.statSync(file, { throwIfNoEntry: false });
+  const size = stat ? stat.size : 0;
+  if (DAILY_SPEND.file !== file || DAILY_SPEND.day !== day || size < DAILY_SPEND.offset) {
+    Object.assign(DAILY_SPEND, { file, day, cost: 0, offset: 0 });
+  }
+  if (size > DAILY_SPEND.offset) {
+    const buf = Buffer.alloc(size - DAILY_SPEND.offset);
+    const fd = fs.openSync(file, "r");
+    try {
+      fs.readSync(fd, buf, 0, buf.length, DAILY_SPEND.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    // a line still being written is picked up by the next check
+    const end = buf.lastIndexOf(10) + 1;
+    const rows = buf.subarray(0, end).toString("utf-8").split("\n").map(parseJsonObject).filter(Boolean);
+    DAILY_SPEND.cost += sumLedgerSpend(rows, { day });
+    DAILY_SPEND.offset += end;
+  }
+  return { day, cost: DAILY_SPEND.cost };
+}
+
+function saveRuntimeState(state) {
+  const file = resolveRuntimeStatePath();
+  ensureParentDir(file);
+  saveConfig(file, state);
+}
+
 function normalizeGlobalConfig(v) {
   const raw = v && typeof v === "object" && !Array.isArray(v) ? v : {};
   const cp = raw.checkpoint && typeof raw.checkpoint === "object" && !Array.isArray(raw.checkpoint) ? raw.checkpoint : {};
   const ui = raw.ui && typeof raw.ui === "object" && !Array.isArray(raw.ui) ? raw.ui : {};
+  const budget = raw.budget && typeof raw.budget === "object" && !Array.isArray(raw.budget) ? raw.budget : {};
+  const api = raw.api && typeof raw.api === "object" && !Array.isArray(raw.api) ? raw.api : {};
   const roots = Array.isArray(raw.scanRoots) ? raw.scanRoots : [];
   const ignores = Array.isArray(raw.ignoreDirs) ? raw.ignoreDirs : [];
   return {
@@ -400,8 +800,32 @@ function normalizeGlobalConfig(v) {
       preTurn: cp.preTurn !== false,
       postTurn: cp.postTurn !== false,
       autoInitGit: cp.autoInitGit === true,
+      snapshots: cp.snapshots === true,
+    },
+    maxConcurrentAgents: Number.isInteger(raw.maxConcurrentAgents) && raw.maxConcurrentAgents >= 0
+      ? raw.maxConcurrentAgents
+      : DEFAULT_GLOBAL_CONFIG.maxConcurrentAgents,
+    budget: {
+      session: normalizeBudgetAmount(budget.session),
+      daily: normalizeBudgetAmount(budget.daily),
     },
     claudeBin: typeof raw.claudeBin === "string" && raw.claudeBin ? raw.claudeBin : DEFAULT_GLOBAL_CONFIG.claudeBin,
+    defaultBackend: typeof raw.defaultBackend === "string" && raw.defaultBackend.trim()
+      ? raw.defaultBackend.trim()
+      : DEFAULT_GLOBAL_CONFIG.defaultBackend,
+    backends: normalizeBackends(raw.backends),
+    hookTimeoutMs: parseDurationSetting(raw.hookTimeout, DEFAULT_HOOK_TIMEOUT_MS),
+    turnTimeoutMs: parseDurationSetting(raw.turnTimeout, 0),
+    stallTimeoutMs: parseDurationSetting(raw.stallTimeout, 0),
+    watchTimeoutMs: parseDurationSetting(raw.watchTimeout, 0),
+    timeoutRetries: normalizeTimeoutRetries(raw.timeoutRetries, 0),
+    api: {
+      enabled: api.enabled === true,
+      port: Number.isInteger(api.port) && api.port >= 0 && api.port <= 65535 ? api.port : DEFAULT_GLOBAL_CONFIG.api.port,
+      token: typeof api.token === "string" ? api.token.trim() : "",
+    },
+    webhooks: normalizeWebhooks(raw.webhooks),
+    notify: normalizeNotify(raw.notify),
     ui: {
       showFullPath: ui.showFullPath !== false,
       previewChars: Number.isInteger(ui.previewChars) && ui.previewChars > 0 ? ui.previewChars : DEFAULT_GLOBAL_CONFIG.ui.previewChars,
@@ -409,6 +833,23 @@ function normalizeGlobalConfig(v) {
   };
 }
 
+function normalizeTimeoutRetries(v, fallback) {
+  return Number.isInteger(v) && v >= 0 ? Math.min(v, MAX_TIMEOUT_RETRIES) : fallback;
+}
+
+// Marker timeouts override the global ones ("off" or 0 disables one for just
+// that project). They stay as written in the marker and are resolved per run.
+function resolveTimeouts(config, cfg) {
+  const c = config || {};
+  const g = cfg || normalizeGlobalConfig({});
+  return {
+    turnMs: parseDurationSetting(c.turnTimeout, g.turnTimeoutMs),
+    stallMs: parseDurationSetting(c.stallTimeout, g.stallTimeoutMs),
+    watchMs: parseDurationSetting(c.watchTimeout, g.watchTimeoutMs),
+    retries: normalizeTimeoutRetries(c.timeoutRetries, g.timeoutRetries),
+  };
+}
+
 function loadGlobalConfig() {
   const configPath = resolveGlobalConfigPath();
   if (!fs.existsSync(configPath)) return { config: normalizeGlobalConfig(DEFAULT_GLOBAL_CONFIG), configPath, exists: false };
@@ -440,6 +881,16 @@ function normalizeSession(v, maxHistory = MAX_HISTORY) {
         cost: typeof h.cost === "number" ? h.cost : 0,
         turns: typeof h.turns === "number" ? h.turns : 0,
         input: typeof h.input === "string" ? h.input : "",
+        kind: h.kind === "review" ? "review" : "turn",
+        verdict: typeof h.verdict === "string" ? h.verdict : "",
+        preSha: typeof h.preSha === "string" ? h.preSha : "",
+        postSha: typeof h.postSha === "string" ? h.postSha : "",
+        turn: Number.isInteger(h.turn) && h.turn > 0 ? h.turn : 0,
+        files: Array.isArray(h.files) ? h.files.filter((f) => typeof f === "string") : [],
+        insertions: Number.isInteger(h.insertions) && h.insertions >= 0 ? h.insertions : 0,
+        deletions: Number.isInteger(h.deletions) && h.deletions >= 0 ? h.deletions : 0,
+        durationMs: Number.isInteger(h.durationMs) && h.durationMs >= 0 ? h.durationMs : 0,
+        parseErrors: Number.isInteger(h.parseErrors) && h.parseErrors > 0 ? h.parseErrors : 0,
       }))
       .slice(-maxHistory),
   };
@@ -450,13 +901,21 @@ function normalizeConfig(v, maxHistory = MAX_HISTORY) {
   return {
     ...val,
     lock: val.lock === true,
+    autopilot: val.autopilot === true,
+    priority: normalizePriority(val.priority),
+    isolation: val.isolation === "worktree" ? "worktree" : "",
     prompt: typeof val.prompt === "string" ? val.prompt : "",
     todos: normalizeList(val.todos),
     doing: normalizeList(val.doing),
     done: normalizeList(val.done),
     macros: normalizeMacros(val.macros),
     watch: typeof val.watch === "string" ? val.watch.trim() : "",
+    watchFiles: normalizeWatchFiles(val.watchFiles),
+    schedule: normalizeSchedule(val.schedule),
+    webhooks: normalizeWebhooks(val.webhooks),
     hooks: normalizeHooks(val.hooks),
+    backend: typeof val.backend === "string" ? val.backend.trim() : "",
+    budget: normalizeProjectBudget(val.budget),
     session: normalizeSession(val.session, maxHistory),
   };
 }
@@ -570,25 +1029,56 @@ function findGremlinDirs(root, maxDepth = MAX_DEPTH, ignoreDirs = new Set(DEFAUL
   return results;
 }
 
+// Returns the new commit's SHA, or "" when there was nothing to commit.
 function gitCheckpoint(dir, msg) {
   const root = git(["rev-parse", "--show-toplevel"], dir);
-  if (!root.ok || !root.stdout.trim()) return;
+  if (!root.ok || !root.stdout.trim()) return "";
   const repoRoot = root.stdout.trim();
   const rel = path.relative(repoRoot, dir) || ".";
   const statusArgs = rel === "."
     ? ["status", "--porcelain"]
     : ["status", "--porcelain", "--", rel];
-  const status = git(statusArgs, dir);
-  if (!status.ok || !status.stdout.trim()) return;
+  // pathspecs are relative to the repo root, so run from there
+  const status = git(statusArgs, repoRoot);
+  if (!status.ok || !status.stdout.trim()) return "";
   const addArgs = rel === "."
     ? ["add", "-A"]
     : ["add", "-A", "--", rel];
-  const add = git(addArgs, dir);
-  if (!add.ok) return;
+  const add = git(addArgs, repoRoot);
+  if (!add.ok) return "";
   const commitArgs = rel === "."
     ? ["commit", "-m", msg || `roundsman checkpoint ${nowIso()}`]
     : ["commit", "-m", msg || `roundsman checkpoint ${nowIso()}`, "--", rel];
-  git(commitArgs, dir);
+  if (!git(commitArgs, repoRoot).ok) return "";
+  return gitHeadSha(repoRoot);
+}
+
+function gitHeadSha(dir) {
+  const r = git(["rev-parse", "HEAD"], dir);
+  return r.ok ? r.stdout.trim() : "";
+}
+
+// Writes the project path's working tree (untracked files included) to a tree
+// object through a throwaway index, leaving the real index untouched.
+function snapshotWorkTree(dir) {
+  const root = git(["rev-parse", "--show-toplevel"], dir);
+  if (!root.ok || !root.stdout.trim()) return "";
+  const repoRoot = root.stdout.trim();
+  const rel = path.relative(repoRoot, dir) || ".";
+  const index = path.join(os.tmpdir(), `roundsman-index-${process.pid}-${randomUUID()}`);
+  const env = { ...process.env, GIT_INDEX_FILE: index };
+  try {
+    git(["read-tree", "HEAD"], repoRoot, env);
+    if (!git(["add", "-A", "--", rel], repoRoot, env).ok) return "";
+    const tree = git(["write-tree"], repoRoot, env);
+    return tree.ok ? tree.stdout.trim() : "";
+  } finally {
+    fs.rmSync(index, { force: true });
+  }
+}
+
+function captureTurnSnapshot(dir, committed) {
+  return (committed && gitHeadSha(dir)) || snapshotWorkTree(dir);
 }
 
 function isGitWorktree(dir) {
@@ -630,6 +1120,11 @@ function setupProject(dir, globalConfig) {
   }
   if (!config) return null;
   if (config.lock) { console.log(`  [skip] ${dir} (locked)`); return null; }
+  const backend = resolveAgentBackend(config.backend, globalConfig);
+  if (!backend) {
+    console.log(`  [error] unknown agent backend "${config.backend || globalConfig.defaultBackend}" for ${dir}`);
+    return null;
+  }
 
   let gitMeta = getGitMeta(dir);
   let gitEnabled = gitMeta.enabled;
@@ -664,8 +1159,9 @@ function setupProject(dir, globalConfig) {
     branch: gitMeta.branch,
     configPath,
     config,
+    backend,
     state: "idle",
-    proc: null,
+    run: null,
     globalConfig,
     gitEnabled,
     stopReason: "",
@@ -676,12 +1172,324 @@ function setupProject(dir, globalConfig) {
     activity: [],
     watchProc: null,
     watchStopReason: "",
+    fileWatchers: [],
+    fileWatchTimer: null,
+    changedFiles: new Set(),
+    scheduleNext: [],
+    scheduledRuns: [],
+    inbox: [],
+    pendingHook: "",
+    skipBeforeVisit: false,
+    turnInput: "",
+    pendingTurn: null,
+    spent: 0,
+    agentStatus: null,
+    pinned: false,
   };
 }
 
+// ── Worktree Isolation ─────────────────────────────────────
+
+// Projects with the same name in one repo (packages/api, services/api) get
+// their own branch through the hash of their path in the repo.
+function worktreeBranchName(project) {
+  const safe = project.name.replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^[-.]+|[-.]+$/g, "") || "project";
+  const rel = path.relative(project.repoRoot || project.dir, project.dir).split(path.sep).join("/");
+  const pathKey = createHash("sha256").update(rel || ".").digest("hex").slice(0, 6);
+  return `roundsman/${safe}-${pathKey}`;
+}
+
+function resolveProjectWorktree(project) {
+  const repoKey = createHash("sha256").update(project.repoRoot).digest("hex").slice(0, 8);
+  const root = path.join(resolveWorktreesRoot(), `${project.repoName}-${repoKey}`, worktreeBranchName(project).slice("roundsman/".length));
+  const rel = path.relative(project.repoRoot, project.dir);
+  return { root, dir: rel ? path.join(root, rel) : root, branch: worktreeBranchName(project), base: project.branch };
+}
+
+function hasProjectWorktree(project) {
+  if (!project.gitEnabled || !project.repoRoot) return false;
+  return fs.existsSync(resolveProjectWorktree(project).root);
+}
+
+function ensureProjectWorktree(project) {
+  if (!project.gitEnabled || !project.repoRoot) return { error: "project is not in a git repository" };
+  const wt = resolveProjectWorktree(project);
+  if (fs.existsSync(wt.root)) {
+    if (!isGitWorktree(wt.root)) return { error: `${wt.root} exists but is not a git worktree` };
+    return wt;
+  }
+  if (wt.base === "(detached)") return { error: "project checkout is on a detached HEAD" };
+  fs.mkdirSync(path.dirname(wt.root), { recursive: true });
+  const hasBranch = git(["rev-parse", "--verify", "--quiet", `refs/heads/${wt.branch}`], project.repoRoot).ok;
+  const args = hasBranch
+    ? ["worktree", "add", wt.root, wt.branch]
+    : ["worktree", "add", "-b", wt.branch, wt.root, wt.base];
+  const add = git(args, project.repoRoot);
+  if (!add.ok) return { error: `git worktree add failed: ${add.stderr.trim().slice(0, 200)}` };
+  return wt;
+}
+
+function removeProjectWorktree(project) {
+  const wt = resolveProjectWorktree(project);
+  if (fs.existsSync(wt.root)) {
+    const rm = git(["worktree", "remove", "--force", wt.root], project.repoRoot);
+    if (!rm.ok) return `git worktree remove failed: ${rm.stderr.trim().slice(0, 200)}`;
+  }
+  git(["worktree", "prune"], project.repoRoot);
+  const del = git(["branch", "-D", wt.branch], project.repoRoot);
+  if (!del.ok && !/not found/.test(del.stderr)) return `git branch -D failed: ${del.stderr.trim().slice(0, 200)}`;
+  return null;
+}
+
+// Commits anything the agent left uncommitted so the branch carries all of it.
+function diffProjectWorktree(project) {
+  const wt = resolveProjectWorktree(project);
+  gitCheckpoint(wt.dir, `roundsman worktree ${nowIso()}`);
+  const rel = path.relative(project.repoRoot, project.dir) || ".";
+  const range = `${wt.base}...${wt.branch}`;
+  const stat = git(["diff", "--stat", range, "--", rel], project.repoRoot);
+  const patch = git(["diff", range, "--", rel], project.repoRoot);
+  if (!stat.ok || !patch.ok) return { error: (stat.stderr || patch.stderr).trim().slice(0, 200) };
+  return { stat: stat.stdout.trim(), patch: patch.stdout };
+}
+
+function mergeProjectWorktree(project) {
+  const wt = resolveProjectWorktree(project);
+  gitCheckpoint(wt.dir, `roundsman worktree ${nowIso()}`);
+  const current = git(["branch", "--show-current"], project.dir);
+  if (!current.ok || current.stdout.trim() !== wt.base) return `checkout is not on ${wt.base}`;
+  const merge = git(["merge", "--no-ff", "-m", `roundsman merge ${wt.branch}`, wt.branch], project.dir);
+  if (!merge.ok) {
+    git(["merge", "--abort"], project.dir);
+    return `merge failed: ${(merge.stderr || merge.stdout).trim().slice(0, 200)}`;
+  }
+  return removeProjectWorktree(project);
+}
+
+// ── Turn Diffs ─────────────────────────────────────────────
+
+const MAX_REVIEW_DIFF_CHARS = 40000;
+const MAX_TURN_FILES = 50;
+
+// The project path minus its marker, which changes every turn.
+function turnDiffSpec(project) {
+  const rel = path.relative(project.repoRoot, project.dir) || ".";
+  const marker = path.relative(project.repoRoot, project.configPath);
+  return ["--", rel, `:(exclude)${marker}`];
+}
+
+function summarizeTurnChanges(project, from, to) {
+  const out = { files: [], insertions: 0, deletions: 0 };
+  if (!from || !to) return out;
+  const stat = git(["diff", "--numstat", from, to, ...turnDiffSpec(project)], project.repoRoot);
+  if (!stat.ok) return out;
+  for (const line of stat.stdout.split("\n")) {
+    const m = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+    if (!m) continue;
+    out.files.push(m[3]);
+    if (m[1] !== "-") out.insertions += Number(m[1]);
+    if (m[2] !== "-") out.deletions += Number(m[2]);
+  }
+  out.files = out.files.slice(0, MAX_TURN_FILES);
+  return out;
+}
+
+function formatTurnChanges(h) {
+  if (!h.postSha) return "";
+  const n = h.files.length;
+  return `${n}${n >= MAX_TURN_FILES ? "+" : ""} file${n === 1 ? "" : "s"} +${h.insertions} -${h.deletions}`;
+}
+
+// Diffs the project path between the pre-turn snapshot of the oldest and the
+// post-turn snapshot of the newest of the last n work turns.
+function diffRecentTurns(project, n = 1) {
+  const turns = project.config.session.history.filter((h) => h.kind !== "review").slice(-n);
+  if (!turns.length) return { error: "no turns yet" };
+  const from = turns[0].preSha;
+  const to = turns[turns.length - 1].postSha;
+  if (!from || !to) return { error: "no snapshot recorded for those turns (needs git and checkpoint.enabled or checkpoint.snapshots)" };
+  const spec = turnDiffSpec(project);
+  const stat = git(["diff", "--stat", from, to, ...spec], project.repoRoot);
+  const patch = git(["diff", from, to, ...spec], project.repoRoot);
+  if (!stat.ok || !patch.ok) return { error: (stat.stderr || patch.stderr).trim().slice(0, 200) };
+  return { turns: turns.length, stat: stat.stdout.trim(), patch: patch.stdout };
+}
+
+function buildReviewInput(patch, turns) {
+  const clipped = patch.length > MAX_REVIEW_DIFF_CHARS ? `${patch.slice(0, MAX_REVIEW_DIFF_CHARS)}\n(diff truncated)` : patch;
+  return [
+    `Review the changes made by the last ${turns} turn${turns === 1 ? "" : "s"} in this project. Do not modify any files.`,
+    "Start your reply with `Verdict: approve` or `Verdict: request changes`, then list concrete problems (bugs, regressions, missing tests) with file references.",
+    "",
+    "```diff",
+    clipped.trimEnd(),
+    "```",
+  ].join("\n");
+}
+
+function parseReviewVerdict(result) {
+  const m = String(result || "").match(/^\W*verdict\W*:?\s*(.+)$/im);
+  return m ? m[1].replace(/[*_`]+/g, "").trim().slice(0, 80) : "";
+}
+
+// ── Task Lists ─────────────────────────────────────────────
+
+function parseTaskIndex(raw, list) {
+  const n = Number(String(raw || "").trim());
+  if (!Number.isSafeInteger(n) || n < 1 || n > list.length) return -1;
+  return n - 1;
+}
+
+function moveTask(config, from, to, index) {
+  const list = config[from];
+  if (!Array.isArray(list) || index < 0 || index >= list.length) return "";
+  const [item] = list.splice(index, 1);
+  if (to) config[to].push(item);
+  return item;
+}
+
+function takeNextTodo(config) {
+  return moveTask(config, "todos", "doing", 0);
+}
+
+function finishTask(config, item) {
+  const i = config.doing.indexOf(item);
+  if (i < 0) return false;
+  moveTask(config, "doing", "done", i);
+  return true;
+}
+
+function buildTodoInput(item) {
+  return [
+    `Work on this todo: ${item}`,
+    `It has been moved to doing. Only when it is finished, end with ${AGENT_STATUS_PREFIX} {"status":"done"} (or move it to done yourself); otherwise leave it in doing.`,
+  ].join("\n");
+}
+
+function reloadTaskLists(project) {
+  try {
+    const fresh = loadConfig(project.configPath, project.globalConfig.maxHistory);
+    if (!fresh) return;
+    project.config.todos = fresh.todos;
+    project.config.doing = fresh.doing;
+    project.config.done = fresh.done;
+  } catch (err) {
+    rmLog(`[warn] failed to reload ${project.configPath}: ${err && err.message ? err.message : String(err)}`);
+  }
+}
+
+function displayTaskLists(config) {
+  if (!config.todos.length && !config.doing.length && !config.done.length) {
+    rmLog("(no todos)");
+    return;
+  }
+  for (const key of ["todos", "doing", "done"]) {
+    if (!config[key].length) continue;
+    rmLog(`${key}:`);
+    config[key].forEach((item, i) => rmLog(`${String(i + 1).padStart(3)}. ${item}`));
+  }
+}
+
+// ── Schedules ──────────────────────────────────────────────
+
+function parseCronField(raw, { min, max }) {
+  const values = new Set();
+  for (const part of raw.split(",")) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) return null;
+    const lo = m[1] === "*" ? min : Number(m[2]);
+    const hi = m[1] === "*" ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : lo;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) return null;
+    for (let n = lo; n <= hi; n += step) values.add(n);
+  }
+  return values;
+}
+
+function parseCronExpr(expr) {
+  const parts = String(expr || "").trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) return null;
+  const out = {};
+  for (let i = 0; i < parts.length; i++) {
+    const values = parseCronField(parts[i], CRON_FIELDS[i]);
+    if (!values) return null;
+    out[CRON_FIELDS[i].name] = values;
+  }
+  if (out.dow.has(7)) out.dow.add(0);
+  // as in cron, a restricted day-of-month and day-of-week match either one
+  out.anyDay = parts[2] === "*" || parts[4] === "*";
+  return out;
+}
+
+// First local time strictly after `after` that the cron expression matches,
+// or 0 when there is none within five years.
+function nextCronTime(cron, after) {
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = after + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (t.getTime() <= limit) {
+    if (!cron.month.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0);
+      continue;
+    }
+    const dom = cron.dom.has(t.getDate());
+    const dow = cron.dow.has(t.getDay());
+    if (cron.anyDay ? !(dom && dow) : !(dom || dow)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0);
+      continue;
+    }
+    if (!cron.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minute.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1);
+      continue;
+    }
+    return t.getTime();
+  }
+  return 0;
+}
+
+function nextScheduleRun(entry, after) {
+  if (entry.every) return after + parseDurationMs(entry.every);
+  const cron = parseCronExpr(entry.cron);
+  return cron ? nextCronTime(cron, after) : 0;
+}
+
+// An entry that never ran starts counting from `now`, except intervals, which
+// are due straight away.
+function firstScheduleRun(entry, now) {
+  if (!entry.lastRun) return entry.every ? now : nextScheduleRun(entry, now);
+  return nextScheduleRun(entry, Date.parse(entry.lastRun));
+}
+
+// Runs that fell due between the last run and `now`.
+function countMissedRuns(entry, now) {
+  if (!entry.lastRun) return 0;
+  let n = 0;
+  let at = nextScheduleRun(entry, Date.parse(entry.lastRun));
+  while (at && at <= now && n < MAX_MISSED_COUNT) {
+    n += 1;
+    at = nextScheduleRun(entry, at);
+  }
+  return n;
+}
+
+function resolveScheduleInput(config, entry) {
+  return Object.prototype.hasOwnProperty.call(config.macros, entry.run) ? config.macros[entry.run] : entry.run;
+}
+
+function describeSchedule(entry) {
+  return `${entry.every ? `every ${entry.every}` : `cron "${entry.cron}"`}: ${previewText(entry.run)}`;
+}
+
 // ── Prompt Building ────────────────────────────────────────
 
-function buildPrompt(config, userInput) {
+function buildPrompt(config, userInput, opts = {}) {
   const parts = [];
   parts.push("You are an agent managed by roundsman, a multi-project orchestrator.");
   parts.push("");
@@ -715,61 +1523,159 @@ function buildPrompt(config, userInput) {
   parts.push("");
   parts.push("Work on the task. When done, provide a concise summary of what you did.");
   parts.push("Update the project marker file todos/doing/done arrays if the task state changed.");
+  if (opts.markerPath) parts.push(`You are in an isolated git worktree; the project marker file is ${opts.markerPath}.`);
+  parts.push("Do not wait for interactive input. To report status, end your summary with one line:");
+  parts.push(`${AGENT_STATUS_PREFIX} {"status":"needs_input|blocked|done|failed","question":"...","reason":"..."}`);
+  parts.push("Use needs_input with a question when you need a decision, blocked or failed with a reason, done when the goal is complete.");
 
   return parts.join("\n");
 }
 
-// ── Session Management ─────────────────────────────────────
+// ── Agent Status ───────────────────────────────────────────
 
-function resetSession(project) {
-  const { config, configPath, dir } = project;
-  if (project.globalConfig.checkpoint.enabled && project.globalConfig.checkpoint.preTurn && project.gitEnabled) {
-    gitCheckpoint(dir, `roundsman pre-reset ${nowIso()}`);
-  }
-  config.session = {
-    sessionId: randomUUID(),
-    turn: 0,
-    summary: "",
-    history: [],
+// Agents report status with a trailing `roundsman-status: {json}` line in
+// their result, or an `agentStatus` object in the marker file.
+function normalizeAgentStatus(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return null;
+  const status = typeof v.status === "string" ? v.status.trim().toLowerCase().replace(/-/g, "_") : "";
+  if (!AGENT_STATUSES.includes(status)) return null;
+  return {
+    status,
+    question: typeof v.question === "string" ? v.question.trim() : "",
+    reason: typeof v.reason === "string" ? v.reason.trim() : "",
   };
-  saveConfig(configPath, config);
 }
 
-function revertLastTurn(project) {
-  const { dir, config, configPath } = project;
-  const last = git(["log", "--oneline", "-1"], dir);
-  if (!last.ok || !last.stdout.trim()) return "no commits to revert";
-
-  const msg = last.stdout.trim();
-  if (!msg.includes("roundsman turn") && !msg.includes("roundsman pre-turn")) {
-    return `last commit is not a roundsman turn: ${msg}`;
+function parseAgentStatus(result) {
+  const lines = String(result || "").split("\n");
+  let status = null;
+  const kept = [];
+  for (const line of lines) {
+    const t = line.trim();
+    if (!t.startsWith(AGENT_STATUS_PREFIX)) {
+      kept.push(line);
+      continue;
+    }
+    try {
+      status = normalizeAgentStatus(JSON.parse(t.slice(AGENT_STATUS_PREFIX.length))) || status;
+    } catch {
+      kept.push(line);
+    }
   }
+  return { status, result: status ? kept.join("\n").trim() : String(result || "") };
+}
 
-  const revert = git(["revert", "HEAD", "--no-edit"], dir);
-  if (!revert.ok) return `revert failed: ${revert.stderr.trim().slice(0, 200)}`;
+function describeAgentStatus(status) {
+  if (!status) return "";
+  const label = status.status.replace(/_/g, " ");
+  const detail = status.status === "needs_input" ? status.question || status.reason : status.reason || status.question;
+  return detail ? `${label}: ${detail}` : label;
+}
 
-  // pop last history entry
-  if (config.session.history.length) {
-    config.session.history.pop();
-    config.session.turn = Math.max(0, config.session.turn - 1);
-    const prev = config.session.history[config.session.history.length - 1];
-    config.session.summary = prev ? prev.result.slice(0, 500) : "";
+function isAwaitingAnswer(project) {
+  return Boolean(project && project.agentStatus && project.agentStatus.status === "needs_input");
+}
+
+function buildAnswerInput(question, reply) {
+  const quoted = String(question || "").split("\n").map((l) => `> ${l}`).join("\n");
+  return `You asked:\n${quoted}\n\nAnswer: ${reply}\n\nContinue where you left off.`;
+}
+
+// ── Session Management ─────────────────────────────────────
+
+function resetSession(project) {
+  const { config, configPath, dir } = project;
+  if (project.globalConfig.checkpoint.enabled && project.globalConfig.checkpoint.preTurn && project.gitEnabled) {
+    gitCheckpoint(dir, `roundsman pre-reset ${nowIso()}`);
   }
+  config.session = {
+    sessionId: randomUUID(),
+    turn: 0,
+    summary: "",
+    history: [],
+  };
+  saveConfig(configPath, config);
+}
 
-  // reload config from reverted state for todos/doing/done
-  try {
-    const fresh = loadConfig(configPath, project.globalConfig.maxHistory);
-    if (fresh) {
-      config.todos = fresh.todos;
-      config.doing = fresh.doing;
-      config.done = fresh.done;
+// Finds the history index of the oldest entry /revert takes back: the last n
+// work turns, or everything from turn #id on. Review entries ride along.
+function resolveRevertStart(history, raw) {
+  const work = history.map((h, i) => [h, i]).filter(([h]) => h.kind !== "review");
+  const s = String(raw || "").trim();
+  const id = s.match(/^#(\d+)$/);
+  const n = id ? 0 : s ? Number(s) : 1;
+  if (!id && (!Number.isSafeInteger(n) || n < 1)) return { usage: true };
+  if (!work.length) return { error: "no turns yet" };
+  if (id) {
+    const hit = work.find(([h]) => h.turn === Number(id[1]));
+    return hit ? { index: hit[1] } : { error: `no turn #${id[1]} in history` };
+  }
+  if (n > work.length) return { error: `only ${work.length} turn${work.length === 1 ? "" : "s"} in history` };
+  return { index: work[work.length - n][1] };
+}
+
+// Applies the inverse of the chosen turns' changes to the project path, so
+// later edits (commits included) that do not overlap them are kept. Overlaps
+// are refused rather than half-applied.
+function revertTurns(project, raw) {
+  const { config, configPath } = project;
+  const cfg = project.globalConfig;
+  const hist = config.session.history;
+  const start = resolveRevertStart(hist, raw);
+  if (start.usage || start.error) return start;
+
+  const reverted = hist.slice(start.index).filter((h) => h.kind !== "review");
+  const before = reverted[0].preSha;
+  const after = reverted[reverted.length - 1].postSha;
+  if (!before || !after) return { error: "no snapshot recorded for those turns (needs git and checkpoint.enabled or checkpoint.snapshots)" };
+
+  const isolated = config.isolation === "worktree";
+  if (isolated && !hasProjectWorktree(project)) return { error: `no worktree for ${project.name}` };
+  const root = isolated ? resolveProjectWorktree(project).root : project.repoRoot;
+  const marker = path.relative(project.repoRoot, configPath);
+  const diff = git(["diff", "--binary", after, before, ...turnDiffSpec(project)], project.repoRoot);
+  if (!diff.ok) return { error: diff.stderr.trim().slice(0, 200) };
+
+  if (diff.stdout) {
+    const patchFile = path.join(os.tmpdir(), `roundsman-revert-${process.pid}-${randomUUID()}.patch`);
+    try {
+      fs.writeFileSync(patchFile, diff.stdout, "utf-8");
+      const check = git(["apply", "--check", patchFile], root);
+      if (!check.ok) {
+        const detail = check.stderr.trim().split("\n")[0] || "patch does not apply";
+        return { error: `later changes overlap the reverted turns (${detail.slice(0, 160)}); resolve by hand` };
+      }
+      const apply = git(["apply", patchFile], root);
+      if (!apply.ok) return { error: `git apply failed: ${apply.stderr.trim().slice(0, 200)}` };
+    } finally {
+      fs.rmSync(patchFile, { force: true });
     }
-  } catch (err) {
-    console.log(`  [warn] failed to reload ${configPath}: ${err && err.message ? err.message : String(err)}`);
   }
 
+  const first = reverted[0];
+  config.session.history = hist.slice(0, start.index);
+  config.session.turn = first.turn ? first.turn - 1 : Math.max(0, config.session.turn - (hist.length - start.index));
+  const prev = [...config.session.history].reverse().find((h) => h.result && !h.result.startsWith("error:"));
+  config.session.summary = prev ? prev.result.slice(0, 500) : "";
+
+  // the marker is not patched; take the task lists from its pre-turn snapshot
+  if (!isolated) {
+    const shown = git(["show", `${before}:${marker}`], project.repoRoot);
+    const raw = shown.ok ? parseJsonObject(shown.stdout) : null;
+    if (raw) {
+      const old = normalizeConfig(raw);
+      config.todos = old.todos;
+      config.doing = old.doing;
+      config.done = old.done;
+    }
+  }
   saveConfig(configPath, config);
-  return null;
+  project.agentStatus = null;
+
+  const msg = `roundsman revert to before turn ${config.session.turn + 1}`;
+  if (isolated) gitCheckpoint(resolveProjectWorktree(project).dir, msg);
+  else if (cfg.checkpoint.enabled && project.gitEnabled) gitCheckpoint(project.dir, msg);
+  return { reverted: reverted.length, turn: config.session.turn + 1, changed: Boolean(diff.stdout) };
 }
 
 // ── Display ────────────────────────────────────────────────
@@ -802,7 +1708,12 @@ function displayLastResult(project) {
   rmLog(`result: ${formatProjectLabel(project)}`);
   rmLog(`turn ${project.config.session.turn} at ${last.at}`);
   rmLog(`input: ${last.input || "(none)"}`);
-  rmLog(`cost: $${last.cost.toFixed(4)} | agent turns: ${last.turns}`);
+  const unparsed = last.parseErrors ? ` | ${last.parseErrors} unparsed line(s)` : "";
+  rmLog(`cost: $${last.cost.toFixed(4)} | agent turns: ${last.turns}${last.durationMs ? ` | took ${formatMsShort(last.durationMs)}` : ""}${unparsed}`);
+  if (last.kind !== "review" && last.postSha) {
+    rmLog(`snapshots: ${last.preSha.slice(0, 8)}..${last.postSha.slice(0, 8)} | ${formatTurnChanges(last)}`);
+    if (last.files.length) rmLog(`files: ${last.files.join(", ")}`);
+  }
   agentLog(project, last.result || "(empty result)");
 }
 
@@ -813,7 +1724,12 @@ function displayLog(project) {
   for (let i = 0; i < hist.length; i++) {
     const h = hist[i];
     const preview = (h.result || "").slice(0, 80).replace(/\n/g, " ");
-    rmLog(`${i + 1}. ${h.at}  $${h.cost.toFixed(4)}  ${h.turns}t`);
+    const review = h.kind === "review" ? `  review${h.verdict ? `: ${h.verdict}` : ""}` : "";
+    const id = h.turn ? `#${h.turn}  ` : "";
+    const took = h.durationMs ? `  ${formatMsShort(h.durationMs)}` : "";
+    const changes = h.kind !== "review" && h.postSha ? `  ${formatTurnChanges(h)}` : "";
+    const unparsed = h.parseErrors ? `  ${h.parseErrors} unparsed` : "";
+    rmLog(`${i + 1}. ${id}${h.at}  $${h.cost.toFixed(4)}  ${h.turns}t${took}${changes}${unparsed}${review}`);
     rmLog(`in: ${h.input || "(none)"}`);
     agentLog(project, preview || "(empty result)");
   }
@@ -823,11 +1739,49 @@ function displayStatus(projects, includeDropped = false) {
   rmLog("status:");
   for (const p of projects) {
     if (!includeDropped && p.state === "dropped") continue;
-    const icon = p.state === "working" ? "⚙" : p.state === "idle" ? "·" : p.state === "snoozed" ? "~" : p.state === "watching" ? "⌛" : "✗";
-    const loop = p.loop ? ` loop ${p.loop.done}/${p.loop.max}` : "";
+    const icon = p.state === "working" ? "⚙" : p.state === "queued" ? "…" : p.state === "idle" ? "·" : p.state === "snoozed" ? "~" : p.state === "watching" ? "⌛" : "✗";
+    const loop = p.loop ? ` ${p.loop.autopilot ? "autopilot" : "loop"} ${p.loop.done}/${p.loop.max}` : "";
     const snooze = p.state === "snoozed" ? ` ${formatMsShort(p.snoozeUntil - Date.now())}` : "";
-    rmLog(`${icon} ${formatRepoTag(p).padEnd(30)} ${p.state}${snooze}${loop}`);
+    const awaiting = p.state === "idle" && isAwaitingAnswer(p);
+    const state = awaiting ? "awaiting-answer" : p.state;
+    const pin = p.pinned ? " pinned" : "";
+    const priority = p.config && p.config.priority !== 1 ? ` priority ${p.config.priority}` : "";
+    const reported = !awaiting && p.agentStatus && p.agentStatus.status !== "done" && p.agentStatus.status !== "needs_input" ? ` [${p.agentStatus.status}]` : "";
+    rmLog(`${awaiting ? "?" : icon} ${formatRepoTag(p).padEnd(30)} ${state}${snooze}${loop}${pin}${priority}${reported}`);
+  }
+}
+
+function displaySchedules(projects) {
+  const now = Date.now();
+  const rows = projects.filter((p) => p.state !== "dropped" && p.config.schedule.length);
+  if (!rows.length) {
+    rmLog("(no schedules)");
+    return;
+  }
+  rmLog("schedule:");
+  for (const p of rows) {
+    p.config.schedule.forEach((e, i) => {
+      const at = p.scheduleNext[i];
+      const next = !at ? "never" : p.scheduledRuns.includes(e) ? "pending" : at <= now ? "due" : `in ${formatMsShort(at - now)} (${new Date(at).toISOString()})`;
+      const missed = e.missed ? `, missed ${e.missed}` : "";
+      rmLog(`${formatRepoTag(p).padEnd(30)} ${next}  ${describeSchedule(e)}  (last ${e.lastRun || "never"}${missed})`);
+    });
+  }
+}
+
+function displayWebhooks(globalConfig, projects) {
+  const rows = [
+    ...globalConfig.webhooks.map((h) => ["global", h]),
+    ...projects.flatMap((p) => p.config.webhooks.map((h) => [p.name, h])),
+  ];
+  if (!rows.length) rmLog("(no webhooks)");
+  else rmLog("webhooks:");
+  for (const [owner, h] of rows) {
+    const signed = h.secret ? ", signed" : "";
+    rmLog(`${owner.padEnd(30)} ${h.url} (${h.events.join(", ") || "no events"}${signed}, ${h.retries} retries)`);
   }
+  const outbox = loadWebhookOutbox();
+  if (outbox.length) rmLog(`outbox: ${outbox.length} undelivered (/webhooks retry)`);
 }
 
 function displayActivity(projects, max = 30) {
@@ -939,158 +1893,411 @@ function createMetaWorkspace(snapshot, goal) {
   };
 }
 
-// ── Background Agent ───────────────────────────────────────
-
-function spawnAgent(project, userInput, onDone, modelOverride) {
-  const { dir, config, configPath } = project;
-  const cfg = project.globalConfig;
-
-  if (cfg.checkpoint.enabled && cfg.checkpoint.preTurn && project.gitEnabled) {
-    gitCheckpoint(dir, `roundsman pre-turn ${config.session.turn + 1}`);
-  }
-
-  const prompt = buildPrompt(config, userInput);
-  const isResume = hasSuccessfulTurn(config);
-  const args = ["-p", "--output-format", "stream-json", "--verbose", "--permission-mode", cfg.defaultPermissionMode];
-  const model = modelOverride || cfg.defaultModel;
-  if (model) args.push("--model", model);
-
-  if (isResume) {
-    args.push("--resume", config.session.sessionId);
-  } else {
-    args.push("--session-id", config.session.sessionId);
-  }
+// ── Agent Backends ─────────────────────────────────────────
+
+// An adapter owns one CLI contract: how to invoke it, how to turn its stdout
+// lines into the events toProgressLine/applyStreamEvent understand, and how to
+// pull the final result/cost/session out of a finished turn.
+const AGENT_ADAPTERS = {
+  claude: {
+    // resumes a session id across turns and answers
+    sessions: true,
+    reportsCost: true,
+    // /review runs in plan mode, which keeps the agent from editing files
+    readOnlyMode: true,
+    buildArgs(backend, turn) {
+      const args = ["-p", "--output-format", "stream-json", "--verbose", "--permission-mode", turn.permissionMode, ...backend.args];
+      if (turn.model) args.push("--model", turn.model);
+      if (turn.sessionId) args.push(turn.resume ? "--resume" : "--session-id", turn.sessionId);
+      args.push(turn.prompt);
+      return args;
+    },
+    decodeLine(line) {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    },
+    finish(stream, stdout) {
+      const out = { result: "", cost: 0, turns: 0, sessionId: "" };
+      if (stream.streamSeen) {
+        out.result = stream.result || "";
+        out.cost = stream.cost || 0;
+        out.turns = stream.turns || 0;
+        out.sessionId = stream.sessionId || "";
+      }
+      if (!out.result) {
+        try {
+          const json = JSON.parse(stdout.trim());
+          out.result = json.result || "";
+          if (!out.cost) out.cost = json.total_cost_usd || 0;
+          if (!out.turns) out.turns = json.num_turns || 0;
+          if (json.session_id) out.sessionId = json.session_id;
+        } catch {
+          out.result = stdout.trim().slice(0, 2000);
+        }
+      }
+      return out;
+    },
+  },
+  command: {
+    sessions: false,
+    reportsCost: false,
+    readOnlyMode: false,
+    buildArgs(backend, turn) {
+      const args = turn.model && backend.modelArg ? [backend.modelArg, turn.model] : [];
+      let placed = false;
+      for (const a of backend.args) {
+        if (a.includes("{prompt}")) placed = true;
+        args.push(a.split("{prompt}").join(turn.prompt));
+      }
+      if (!placed) args.push(turn.prompt);
+      return args;
+    },
+    decodeLine(line) {
+      return { type: "assistant", text: line };
+    },
+    finish(stream, stdout) {
+      return { result: stdout.trim().slice(-2000), cost: 0, turns: 1, sessionId: "" };
+    },
+  },
+};
 
-  args.push(prompt);
+function resolveAgentBackend(name, globalConfig) {
+  const key = name || globalConfig.defaultBackend || DEFAULT_GLOBAL_CONFIG.defaultBackend;
+  const def = globalConfig.backends[key];
+  if (def) return { name: key, ...def, bin: def.bin || globalConfig.claudeBin, adapter: AGENT_ADAPTERS[def.type] };
+  if (key !== "claude") return null;
+  return { name: "claude", type: "claude", bin: globalConfig.claudeBin, args: [], modelArg: "", adapter: AGENT_ADAPTERS.claude };
+}
 
+function buildAgentEnv(cfg) {
   const env = { ...process.env };
   delete env.CLAUDECODE;
   if (cfg.apiKeyEnvVar && process.env[cfg.apiKeyEnvVar]) {
     env.ANTHROPIC_API_KEY = process.env[cfg.apiKeyEnvVar];
   }
+  return env;
+}
 
-  const proc = spawn(cfg.claudeBin, args, { cwd: dir, env, stdio: ["ignore", "pipe", "pipe"] });
-  let stdout = "";
-  let stderr = "";
-  const stream = { lineBuf: "", result: "", cost: 0, turns: 0, sessionId: "", streamSeen: false };
-  const stderrState = { lineBuf: "" };
-  project.holdStream = false;
-  let waitStop = false;
-  function stopForInputWait() {
-    if (waitStop) return;
-    waitStop = true;
-    project.stopReason = "agent requested user input";
+// ── Agent Runs ─────────────────────────────────────────────
+
+// One agent process from spawn to exit. Project turns (including hook prompts,
+// broadcast and loops) and meta runs all go through here; callers layer their
+// own bookkeeping on top of the typed events:
+//   "event" (evt)   decoded stream event
+//   "raw" (line)    stdout line the adapter couldn't decode
+//   "stderr" (line) non-empty stderr line
+//   "wait" (evt)    the agent asked for user input; the run is stopped
+//   "timeout" (t)   timeoutMs or stallMs ran out ({ reason, ms }); the run is
+//                   stopped with a stopReason of "timeout" or "stalled"
+//   "done" (run)    exactly once, with the parsed result or the stop reason
+// `finished` resolves with the same value as "done" (meta runs await it).
+// kill() ends the process without a reason (the caller tracks why);
+// stop(reason) records one. `proc` is the spawned ChildProcess.
+function runAgent(spec) {
+  const { backend, cfg } = spec;
+  const adapter = backend.adapter;
+  const startedAt = Date.now();
+  const args = adapter.buildArgs(backend, {
+    prompt: spec.prompt,
+    model: spec.model,
+    permissionMode: spec.permissionMode,
+    sessionId: spec.sessionId,
+    resume: spec.resume === true,
+  });
+
+  const run = new EventEmitter();
+  const proc = spawn(backend.bin, args, { cwd: spec.cwd, env: buildAgentEnv(cfg), stdio: ["ignore", "pipe", "pipe"] });
+  const stderr = createOutputTail();
+  const stderrState = { parts: [] };
+  let stopReason = "";
+  let waited = false;
+  let timedOut = false;
+  let settled = false;
+
+  run.proc = proc;
+  run.finished = new Promise((resolve) => run.once("done", resolve));
+  run.kill = (signal) => proc.kill(signal);
+  run.stop = (reason) => {
+    if (!stopReason) stopReason = reason || "stopped";
     proc.kill();
-  }
+  };
 
-  proc.stdout.on("data", (b) => {
-    const chunk = String(b);
-    stdout += chunk;
-    consumeStreamChunk(chunk, stream, (line) => {
-      let evt = null;
-      try {
-        evt = JSON.parse(line);
-      } catch {
-        return;
-      }
-      stream.streamSeen = true;
-      applyStreamEvent(stream, evt);
+  const decoder = createStreamDecoder(adapter, {
+    onEvent(evt) {
       if (isInputWaitEvent(evt)) {
-        emitProgress(project, "[wait] agent is waiting for user input; streaming paused");
-        project.holdStream = true;
-        stopForInputWait();
+        if (waited) return;
+        waited = true;
+        run.emit("wait", evt);
+        run.stop("agent requested user input");
         return;
       }
-      const msg = toProgressLine(evt);
-      emitProgress(project, msg);
+      run.emit("event", evt);
+    },
+    onRaw(line) {
+      run.emit("raw", line);
+    },
+  });
+  const stream = decoder.state;
+  const emitStderr = (line) => {
+    const msg = previewText(line);
+    if (msg) run.emit("stderr", msg);
+  };
+
+  function expire(reason, ms) {
+    if (settled || stopReason) return;
+    timedOut = true;
+    run.emit("timeout", { reason, ms });
+    run.stop(reason);
+    const escalate = setTimeout(() => {
+      if (!settled) proc.kill("SIGKILL");
+    }, TIMEOUT_KILL_GRACE_MS);
+    escalate.unref();
+  }
+  const turnTimer = spec.timeoutMs > 0 ? setTimeout(() => expire("timeout", spec.timeoutMs), spec.timeoutMs) : null;
+  // any stdout counts as progress; stderr alone doesn't
+  const stallTimer = spec.stallMs > 0 ? setTimeout(() => expire("stalled", spec.stallMs), spec.stallMs) : null;
+
+  function settle(outcome) {
+    if (settled) return;
+    settled = true;
+    clearTimeout(turnTimer);
+    clearTimeout(stallTimer);
+    run.emit("done", {
+      result: "",
+      cost: 0,
+      turns: 0,
+      sessionId: stream.sessionId,
+      parseErrors: stream.parseErrors,
+      durationMs: Date.now() - startedAt,
+      stopReason,
+      waited,
+      timedOut,
+      error: "",
+      ...outcome,
     });
+  }
+
+  proc.stdout.on("data", (b) => {
+    if (stallTimer) stallTimer.refresh();
+    decoder.push(b);
   });
 
   proc.stderr.on("data", (b) => {
     const chunk = String(b);
-    stderr += chunk;
-    consumeStreamChunk(chunk, stderrState, (line) => {
-      const msg = previewText(line);
-      if (!msg) return;
-      emitProgress(project, `[stderr] ${msg}`);
-      if (line.toLowerCase().includes("waiting for user input")) {
-        project.holdStream = true;
-        stopForInputWait();
-      }
-    });
+    stderr.push(chunk);
+    consumeStreamChunk(chunk, stderrState, emitStderr);
   });
 
   proc.on("close", (code, signal) => {
-    if (project.stopReason) {
-      const why = project.stopReason;
-      project.stopReason = "";
-      onDone(project, `stopped: ${why}${signal ? ` (${signal})` : ""}`, 0, { stopped: true });
-      return;
+    if (settled) return;
+    decoder.end();
+    consumeStreamTail(stderrState, emitStderr);
+    const stdout = decoder.stdout();
+    if (stopReason) {
+      settle({ code, signal });
+    } else if (code === 0 && stdout.trim()) {
+      const final = adapter.finish(stream, stdout);
+      settle({
+        code,
+        signal,
+        result: final.result,
+        cost: final.cost,
+        turns: final.turns,
+        sessionId: final.sessionId || stream.sessionId,
+      });
+    } else {
+      const detail = stderr.text().trim().slice(0, 500) || stdout.trim().slice(0, 500);
+      settle({ code, signal, result: `error: exit ${code} — ${detail}` });
     }
+  });
 
-    const at = nowIso();
-    config.session.turn += 1;
+  proc.on("error", (err) => {
+    settle({ code: null, signal: null, result: `spawn error: ${err.message}`, error: err.message });
+  });
 
-    let result = "";
-    let cost = 0;
-    let turns = 0;
+  return run;
+}
 
-    consumeStreamTail(stream, (line) => {
-      let evt = null;
-      try {
-        evt = JSON.parse(line);
-      } catch {
-        return;
-      }
-      stream.streamSeen = true;
-      applyStreamEvent(stream, evt);
-      if (isInputWaitEvent(evt)) {
-        emitProgress(project, "[wait] agent is waiting for user input; streaming paused");
-        project.holdStream = true;
-        stopForInputWait();
-        return;
-      }
-      const msg = toProgressLine(evt);
-      emitProgress(project, msg);
-    });
-    consumeStreamTail(stderrState, (line) => {
-      const msg = previewText(line);
-      if (!msg) return;
-      emitProgress(project, `[stderr] ${msg}`);
+function describeRunTimeout(t) {
+  if (t.reason === "stalled") return `[stalled] no agent output for ${formatMsShort(t.ms)}; stopping`;
+  return `[timeout] still running after ${formatMsShort(t.ms)}; stopping`;
+}
+
+// ── Background Agent ───────────────────────────────────────
+
+function spawnAgent(project, userInput, onDone, modelOverride, opts = {}) {
+  const { dir, config, configPath } = project;
+  const cfg = project.globalConfig;
+  const startedAt = Date.now();
+  const backend = project.backend || resolveAgentBackend(config.backend, cfg);
+  const model = modelOverride || cfg.defaultModel;
+
+  function recordTurn(status, cost, turns) {
+    recordLedger({
+      project: project.name,
+      dir,
+      backend: backend.name,
+      model: model || "",
+      macro: opts.macro || "",
+      inputDigest: digestInput(userInput),
+      cost,
+      turns,
+      durationMs: Date.now() - startedAt,
+      status,
     });
+  }
 
-    if (code === 0 && stdout.trim()) {
-      if (stream.streamSeen) {
-        result = stream.result || "";
-        cost = stream.cost || 0;
-        turns = stream.turns || 0;
-        if (stream.sessionId) config.session.sessionId = stream.sessionId;
-      }
+  let cwd = dir;
+  if (config.isolation === "worktree") {
+    const wt = ensureProjectWorktree(project);
+    if (wt.error) {
+      // no agent ran, but the turn ends like a failed one: the callers take
+      // the project off the queue after this returns, so it stays working
+      // until onDone hands it back on the next tick
+      const result = `error: worktree: ${wt.error}`;
+      setProjectState(project, "working");
+      project.turnInput = userInput;
+      recordTurn("error", 0, 0);
+      emitWebhook(cfg, project, "turn.done", {
+        turn: config.session.turn + 1,
+        kind: opts.review ? "review" : "turn",
+        status: "error",
+        result,
+        cost: 0,
+        turns: 0,
+        durationMs: Date.now() - startedAt,
+        files: [],
+        agentStatus: null,
+      });
+      setImmediate(() => onDone(project, result, 0));
+      return;
+    }
+    cwd = wt.dir;
+  }
+  const isolated = cwd !== dir;
+  const preCheckpoint = !isolated && cfg.checkpoint.enabled && cfg.checkpoint.preTurn && project.gitEnabled;
+  const preCommit = preCheckpoint ? gitCheckpoint(dir, `roundsman pre-turn ${config.session.turn + 1}`) : "";
+  // snapshots feed /diff, /review and /revert; without checkpoints or a
+  // worktree they cost two tree writes per turn, so they are opt-in there
+  const snapshots = project.gitEnabled && (isolated || cfg.checkpoint.enabled || cfg.checkpoint.snapshots);
+  const preSha = snapshots ? preCommit || captureTurnSnapshot(cwd, preCheckpoint || isolated) : "";
+  const prompt = buildPrompt(config, userInput, isolated ? { markerPath: configPath } : {});
+
+  // a backend without sessions starts every turn fresh
+  const sessions = backend.adapter.sessions === true;
+  const limits = resolveTimeouts(config, cfg);
+  const run = runAgent({
+    backend,
+    cfg,
+    cwd,
+    timeoutMs: limits.turnMs,
+    stallMs: limits.stallMs,
+    prompt,
+    model,
+    permissionMode: opts.review ? "plan" : cfg.defaultPermissionMode,
+    sessionId: sessions ? config.session.sessionId : "",
+    resume: sessions && (opts.resume === true || hasSuccessfulTurn(config)),
+  });
+  emitWebhook(cfg, project, "turn.start", {
+    turn: config.session.turn + 1,
+    kind: opts.review ? "review" : "turn",
+    input: userInput,
+    backend: backend.name,
+    model: model || "",
+    macro: opts.macro || "",
+  });
+  project.holdStream = false;
+  project.turnInput = userInput;
+  project.agentStatus = null;
+  let waitQuestion = "";
+  let lastAgentText = "";
+
+  run.on("event", (evt) => {
+    const e = unwrapStreamEvent(evt);
+    if (e && e.type === "assistant") lastAgentText = extractText(e).trim() || lastAgentText;
+    emitProgress(project, toProgressLine(evt));
+  });
+  run.on("raw", (line) => emitProgress(project, `[raw] ${previewText(line)}`));
+  run.on("stderr", (msg) => emitProgress(project, `[stderr] ${msg}`));
+  run.on("timeout", (t) => emitProgress(project, describeRunTimeout(t)));
+  run.on("wait", (evt) => {
+    emitProgress(project, "[wait] agent is waiting for user input; streaming paused");
+    project.holdStream = true;
+    waitQuestion = extractWaitQuestion(evt, lastAgentText);
+  });
 
-      if (!result) {
-        try {
-          const json = JSON.parse(stdout.trim());
-          result = json.result || "";
-          if (!cost) cost = json.total_cost_usd || 0;
-          if (!turns) turns = json.num_turns || 0;
-          if (json.session_id) config.session.sessionId = json.session_id;
-        } catch {
-          result = stdout.trim().slice(0, 2000);
+  run.on("done", (outcome) => {
+    if (outcome.error) {
+      onDone(project, outcome.result, 0);
+      return;
+    }
+    if (project.stopReason || outcome.stopReason) {
+      const why = project.stopReason || outcome.stopReason;
+      const timedOut = outcome.timedOut && !project.stopReason;
+      project.stopReason = "";
+      recordTurn("stopped", 0, 0);
+      let agentStatus = null;
+      if (outcome.waited) {
+        // keep the session the question was asked in so the answer can resume it
+        if (sessions && outcome.sessionId && outcome.sessionId !== config.session.sessionId) {
+          config.session.sessionId = outcome.sessionId;
+          saveConfig(configPath, config);
         }
+        agentStatus = { status: "needs_input", question: waitQuestion, reason: "" };
       }
-    } else {
-      const err = stderr.trim().slice(0, 500);
-      const out = stdout.trim().slice(0, 500);
-      const detail = err || out;
-      result = `error: exit ${code} — ${detail}`;
+      emitWebhook(cfg, project, "turn.done", {
+        turn: config.session.turn + 1,
+        status: "stopped",
+        reason: why,
+        result: "",
+        cost: 0,
+        turns: 0,
+        durationMs: outcome.durationMs,
+        files: [],
+        agentStatus,
+      });
+      const signal = outcome.signal;
+      onDone(project, `stopped: ${why}${signal ? ` (${signal})` : ""}`, 0, { stopped: true, agentStatus, timedOut });
+      return;
     }
 
-    // update summary from result
-    if (result && !result.startsWith("error:")) {
+    const at = nowIso();
+    config.session.turn += 1;
+
+    const { cost, turns } = outcome;
+    if (sessions && outcome.code === 0 && outcome.sessionId) config.session.sessionId = outcome.sessionId;
+
+    const parsed = parseAgentStatus(outcome.result);
+    const result = parsed.result;
+    let agentStatus = parsed.status;
+
+    // update summary from result; a review's critique is not the session's
+    if (!opts.review && result && !result.startsWith("error:")) {
       config.session.summary = result.slice(0, 500);
     }
 
-    config.session.history.push({ at, result: result.slice(0, 2000), cost, turns, input: userInput });
+    const verdict = opts.review ? parseReviewVerdict(result) : "";
+    const entry = {
+      at,
+      result: result.slice(0, 2000),
+      cost,
+      turns,
+      input: opts.review ? `review: ${opts.review}` : userInput,
+      kind: opts.review ? "review" : "turn",
+      verdict,
+      preSha,
+      postSha: "",
+      turn: config.session.turn,
+      files: [],
+      insertions: 0,
+      deletions: 0,
+      durationMs: outcome.durationMs,
+      parseErrors: outcome.parseErrors,
+    };
+    config.session.history.push(entry);
     config.session.history = config.session.history.slice(-cfg.maxHistory);
 
     // reload config in case agent modified it
@@ -1101,26 +2308,150 @@ function spawnAgent(project, userInput, onDone, modelOverride) {
         config.doing = fresh.doing;
         config.done = fresh.done;
         config.prompt = fresh.prompt;
+        if (!agentStatus) agentStatus = normalizeAgentStatus(fresh.agentStatus);
       }
     } catch (err) {
-      console.log(`  [warn] failed to reload ${configPath}: ${err && err.message ? err.message : String(err)}`);
+      rmLog(`[warn] failed to reload ${configPath}: ${err && err.message ? err.message : String(err)}`);
     }
 
+    // the marker status is consumed once per turn
+    delete config.agentStatus;
     saveConfig(configPath, config);
 
-    if (cfg.checkpoint.enabled && cfg.checkpoint.postTurn && project.gitEnabled) {
-      gitCheckpoint(dir, `roundsman turn ${config.session.turn}: ${result.slice(0, 60)}`);
+    const postCheckpoint = !isolated && cfg.checkpoint.enabled && cfg.checkpoint.postTurn && project.gitEnabled;
+    let postCommit = "";
+    if (isolated) {
+      // the worktree branch is what /merge takes, so every turn is committed there
+      postCommit = gitCheckpoint(cwd, `roundsman turn ${config.session.turn}: ${result.slice(0, 60)}`);
+    } else if (postCheckpoint) {
+      postCommit = gitCheckpoint(dir, `roundsman turn ${config.session.turn}: ${result.slice(0, 60)}`);
+    }
+    if (snapshots) {
+      entry.postSha = postCommit || captureTurnSnapshot(cwd, postCheckpoint || isolated);
+      Object.assign(entry, summarizeTurnChanges(project, entry.preSha, entry.postSha));
+      saveConfig(configPath, config);
     }
 
-    onDone(project, result, cost, { stopped: false });
+    recordTurn(result.startsWith("error:") ? "error" : "ok", cost, turns);
+    emitWebhook(cfg, project, "turn.done", {
+      turn: entry.turn,
+      kind: entry.kind,
+      status: result.startsWith("error:") ? "error" : "ok",
+      result: entry.result,
+      cost,
+      turns,
+      durationMs: entry.durationMs,
+      files: entry.files,
+      insertions: entry.insertions,
+      deletions: entry.deletions,
+      parseErrors: entry.parseErrors,
+      verdict,
+      agentStatus,
+    });
+    onDone(project, result, cost, { stopped: false, agentStatus, verdict });
   });
 
-  proc.on("error", (err) => {
-    onDone(project, `spawn error: ${err.message}`, 0);
-  });
+  project.run = run;
+  setProjectState(project, "working");
+}
 
-  project.proc = proc;
-  project.state = "working";
+// The session and daily caps, which also cover /meta runs.
+function getGlobalBudgetBlock(cfg, runtime) {
+  const g = cfg.budget;
+  const spent = runtime && typeof runtime.totalCost === "number" ? runtime.totalCost : 0;
+  if (g.session > 0 && spent >= g.session) {
+    return `session budget $${g.session.toFixed(2)} reached ($${spent.toFixed(4)} spent)`;
+  }
+  if (g.daily > 0) {
+    const today = loadDailySpend();
+    if (today.cost >= g.daily) return `daily budget $${g.daily.toFixed(2)} reached ($${today.cost.toFixed(4)} spent ${today.day})`;
+  }
+  return "";
+}
+
+function getBudgetBlock(project, runtime) {
+  const global = getGlobalBudgetBlock(project.globalConfig, runtime);
+  if (global) return global;
+  const b = project.config.budget;
+  const projectSpent = project.spent || 0;
+  if (b.project > 0 && projectSpent >= b.project) {
+    return `project budget $${b.project.toFixed(2)} reached for ${project.name} ($${projectSpent.toFixed(4)} spent)`;
+  }
+  return "";
+}
+
+function getLoopBudgetBlock(project) {
+  const b = project.config.budget;
+  if (!project.loop || !(b.loop > 0)) return "";
+  const spent = project.loop.spent || 0;
+  if (spent < b.loop) return "";
+  return `loop budget $${b.loop.toFixed(2)} reached ($${spent.toFixed(4)} spent)`;
+}
+
+function countRunningAgents(projects) {
+  const list = Array.isArray(projects) ? projects : [];
+  return list.filter((p) => p && p.state === "working").length;
+}
+
+function hasAgentSlot(runtime) {
+  const max = runtime && Number.isInteger(runtime.maxConcurrentAgents) ? runtime.maxConcurrentAgents : 0;
+  return max <= 0 || countRunningAgents(runtime.projects) < max;
+}
+
+function hasPendingTurns(runtime) {
+  const list = runtime && Array.isArray(runtime.pendingTurns) ? runtime.pendingTurns : [];
+  return list.some((t) => t.project.pendingTurn === t);
+}
+
+// Turns start in FIFO order: a new turn waits behind already-pending turns
+// even when a slot is free, so a looping project can't starve the others.
+function startAgentTurn(project, input, runtime, onDone, opts = {}) {
+  if (!hasPendingTurns(runtime) && hasAgentSlot(runtime)) {
+    spawnAgent(project, input, onDone, runtime.model, opts);
+    return true;
+  }
+  if (!Array.isArray(runtime.pendingTurns)) runtime.pendingTurns = [];
+  const turn = { project, input, opts };
+  runtime.pendingTurns.push(turn);
+  project.pendingTurn = turn;
+  project.turnInput = input;
+  setProjectState(project, "queued");
+  const ahead = runtime.pendingTurns.filter((t) => t !== turn && t.project.pendingTurn === t).length;
+  rmLog(`-> ${project.name} queued for an agent slot (${ahead} ahead)`);
+  return false;
+}
+
+function startAutopilotTurn(project, runtime, onDone) {
+  reloadTaskLists(project);
+  const item = takeNextTodo(project.config);
+  if (!item) return false;
+  saveConfig(project.configPath, project.config);
+  project.loop.goal = item;
+  startAgentTurn(project, buildTodoInput(item), runtime, onDone);
+  return true;
+}
+
+function drainPendingTurns(runtime, onDone) {
+  const started = [];
+  const list = runtime && Array.isArray(runtime.pendingTurns) ? runtime.pendingTurns : [];
+  while (list.length && hasAgentSlot(runtime)) {
+    const turn = list.shift();
+    const { project } = turn;
+    if (project.pendingTurn !== turn) continue;
+    project.pendingTurn = null;
+    rmLog(`-> starting queued turn for ${project.name}...`);
+    spawnAgent(project, turn.input, onDone, runtime.model, turn.opts);
+    started.push(project);
+  }
+  return started;
+}
+
+function cancelPendingTurn(project) {
+  if (!project.pendingTurn) return false;
+  project.pendingTurn = null;
+  project.pendingHook = "";
+  setProjectState(project, "idle");
+  return true;
 }
 
 function spawnWatcher(project, onDone) {
@@ -1128,10 +2459,28 @@ function spawnWatcher(project, onDone) {
   if (!cmd) return false;
   if (project.watchProc) return true;
 
-  const proc = spawn(cmd, { cwd: project.dir, shell: true, stdio: ["ignore", "pipe", "pipe"] });
-  const out = { lineBuf: "" };
-  const err = { lineBuf: "" };
+  // its own process group, so stopping it also stops what the shell started
+  const proc = spawn(cmd, { cwd: project.dir, shell: true, detached: process.platform !== "win32", stdio: ["ignore", "pipe", "pipe"] });
+  const out = { parts: [] };
+  const err = { parts: [] };
+  let closed = false;
   project.watchStopReason = "";
+  const { watchMs } = resolveTimeouts(project.config, project.globalConfig);
+  let timer = null;
+  if (watchMs > 0) {
+    timer = setTimeout(() => {
+      if (project.watchProc !== proc) return;
+      const msg = `[watch timeout] still running after ${formatMsShort(watchMs)}; stopping`;
+      pushActivity(project, msg);
+      agentLog(project, msg);
+      project.watchStopReason = "timeout";
+      signalWatcher(proc);
+      const escalate = setTimeout(() => {
+        if (!closed) signalWatcher(proc, "SIGKILL");
+      }, TIMEOUT_KILL_GRACE_MS);
+      escalate.unref();
+    }, watchMs);
+  }
 
   proc.stdout.on("data", (b) => {
     consumeStreamChunk(b, out, (line) => {
@@ -1152,6 +2501,8 @@ function spawnWatcher(project, onDone) {
   });
 
   proc.on("close", (code, signal) => {
+    closed = true;
+    clearTimeout(timer);
     consumeStreamTail(out, (line) => {
       const msg = previewText(line);
       if (!msg) return;
@@ -1167,188 +2518,531 @@ function spawnWatcher(project, onDone) {
     const stop = project.watchStopReason;
     project.watchStopReason = "";
     project.watchProc = null;
-    onDone(project, { code, signal, stopped: stop !== "" });
+    onDone(project, { code, signal, stopped: stop !== "", reason: stop });
   });
 
   proc.on("error", () => {
+    clearTimeout(timer);
     project.watchProc = null;
     onDone(project, { code: null, signal: null, stopped: false });
   });
 
   project.watchProc = proc;
-  project.state = "watching";
+  setProjectState(project, "watching");
   return true;
 }
 
-function runMetaAgent(goal, ctx) {
-  return new Promise((resolve) => {
-    const hist = loadMetaHistory(META_HISTORY_TAIL);
-    const snap = buildMetaSnapshot(ctx.projects, ctx.queue, ctx.project, hist);
-    const workspace = createMetaWorkspace(snap, goal);
-    const cfg = ctx.project.globalConfig;
-
-    const args = ["-p", "--output-format", "stream-json", "--verbose", "--permission-mode", cfg.defaultPermissionMode];
-    const model = ctx.runtime.model || cfg.defaultModel;
-    if (model) args.push("--model", model);
-    const seedSessionId = randomUUID();
-    args.push("--session-id", seedSessionId);
-    args.push([
-      "You are roundsman's meta agent.",
-      `User goal: ${goal}`,
-      "",
-      "You are running in an ephemeral scratch workspace.",
-      `Read ${workspace.sessionPath} and ${workspace.projectsPath} first.`,
-      `Use ${workspace.agentsPath} as your instruction contract.`,
-      "If you make project changes, apply them directly in the linked project directories.",
-      "Prioritize creating/updating roundsman project setup such as roundsman.json and watch scripts when useful.",
-      "Return a concise summary with exact changed files.",
-    ].join("\n"));
-
-    const env = { ...process.env };
-    delete env.CLAUDECODE;
-    if (cfg.apiKeyEnvVar && process.env[cfg.apiKeyEnvVar]) {
-      env.ANTHROPIC_API_KEY = process.env[cfg.apiKeyEnvVar];
-    }
-
-    const metaProject = { name: "meta", dir: workspace.dir };
-    rmLog(`-> meta workspace: ${workspace.dir}`);
-    const proc = spawn(cfg.claudeBin, args, { cwd: workspace.dir, env, stdio: ["ignore", "pipe", "pipe"] });
-    ctx.runtime.metaProc = proc;
-    let done = false;
-    let stopReason = "";
-    function stopFor(reason) {
-      if (stopReason) return;
-      stopReason = reason;
-      proc.kill();
-    }
-    let stdout = "";
-    let stderr = "";
-    const stream = { lineBuf: "", result: "", cost: 0, turns: 0, sessionId: "", streamSeen: false };
-    const stderrState = { lineBuf: "" };
-
-    proc.stdout.on("data", (b) => {
-      const chunk = String(b);
-      stdout += chunk;
-      consumeStreamChunk(chunk, stream, (line) => {
-        let evt = null;
+// Signals the watch command's whole process group where there is one.
+function signalWatcher(proc, signal = "SIGTERM") {
+  if (proc.pid && process.platform !== "win32") {
+    try {
+      process.kill(-proc.pid, signal);
+      return;
+    } catch (err) {
+      if (err.code !== "ESRCH") rmLog(`[warn] failed to signal watch command: ${err.message}`);
+    }
+  }
+  proc.kill(signal);
+}
+
+async function runMetaAgent(goal, ctx) {
+  const cfg = ctx.project.globalConfig;
+  const backend = resolveAgentBackend("", cfg);
+  if (!backend) {
+    rmLog(`-> meta failed: unknown agent backend "${cfg.defaultBackend}"`);
+    return;
+  }
+  const hist = loadMetaHistory(META_HISTORY_TAIL);
+  const snap = buildMetaSnapshot(ctx.projects, ctx.queue, ctx.project, hist);
+  const workspace = createMetaWorkspace(snap, goal);
+  const seedSessionId = randomUUID();
+  const prompt = [
+    "You are roundsman's meta agent.",
+    `User goal: ${goal}`,
+    "",
+    "You are running in an ephemeral scratch workspace.",
+    `Read ${workspace.sessionPath} and ${workspace.projectsPath} first.`,
+    `Use ${workspace.agentsPath} as your instruction contract.`,
+    "If you make project changes, apply them directly in the linked project directories.",
+    "Prioritize creating/updating roundsman project setup such as roundsman.json and watch scripts when useful.",
+    "Return a concise summary with exact changed files.",
+  ].join("\n");
+
+  const metaProject = { name: "meta", dir: workspace.dir };
+  const model = ctx.runtime.model || cfg.defaultModel;
+  const startedAt = Date.now();
+  const recordRun = (status, cost, turns) => recordLedger({
+    project: META_LEDGER_PROJECT,
+    dir: workspace.dir,
+    backend: backend.name,
+    model: model || "",
+    macro: "",
+    inputDigest: digestInput(goal),
+    cost,
+    turns,
+    durationMs: Date.now() - startedAt,
+    status,
+  });
+  rmLog(`-> meta workspace: ${workspace.dir}`);
+  const run = runAgent({
+    backend,
+    cfg,
+    cwd: workspace.dir,
+    timeoutMs: cfg.turnTimeoutMs,
+    stallMs: cfg.stallTimeoutMs,
+    prompt,
+    model,
+    permissionMode: cfg.defaultPermissionMode,
+    sessionId: seedSessionId,
+    resume: false,
+  });
+  ctx.runtime.metaRun = run;
+
+  run.on("event", (evt) => {
+    const msg = toProgressLine(evt);
+    if (msg) agentLog(metaProject, msg);
+  });
+  run.on("raw", (line) => agentLog(metaProject, `[raw] ${previewText(line)}`));
+  run.on("stderr", (msg) => agentLog(metaProject, `[stderr] ${msg}`));
+  run.on("timeout", (t) => agentLog(metaProject, describeRunTimeout(t)));
+  run.on("wait", () => agentLog(metaProject, "[wait] meta agent requested user input; stopping this run"));
+
+  const outcome = await run.finished;
+  if (ctx.runtime.metaRun === run) ctx.runtime.metaRun = null;
+  if (outcome.error) {
+    appendMetaHistory({
+      at: nowIso(),
+      goal,
+      workspace: workspace.dir,
+      result: outcome.result,
+      cost: 0,
+      turns: 0,
+      sessionId: seedSessionId,
+      status: "error",
+    });
+    recordRun("error", 0, 0);
+    rmLog(`-> meta failed: ${outcome.result}`);
+    return;
+  }
+
+  const stopped = outcome.stopReason !== "";
+  const why = outcome.waited ? "meta agent requested user input" : outcome.stopReason;
+  const result = stopped ? `stopped: ${why}` : outcome.result;
+  const cost = stopped ? 0 : outcome.cost;
+  const turns = stopped ? 0 : outcome.turns;
+  appendMetaHistory({
+    at: nowIso(),
+    goal,
+    workspace: workspace.dir,
+    result: result.slice(0, 2000),
+    cost,
+    turns,
+    sessionId: outcome.sessionId || seedSessionId,
+    parseErrors: outcome.parseErrors,
+    status: result.startsWith("error:") ? "error" : "ok",
+  });
+  recordRun(result.startsWith("error:") ? "error" : stopped ? "stopped" : "ok", cost, turns);
+  ctx.runtime.totalCost += cost;
+
+  emitWebhook(cfg, null, "meta.done", {
+    goal,
+    status: result.startsWith("error:") ? "error" : stopped ? "stopped" : "ok",
+    result: result.slice(0, 2000),
+    cost,
+    turns,
+    workspace: workspace.dir,
+  });
+  if (result.startsWith("error:")) rmLog(`-> meta failed (${workspace.dir})`);
+  else if (stopped) rmLog(`-> meta stopped (${workspace.dir})`);
+  else rmLog(`-> meta complete ($${cost.toFixed(4)}) (${workspace.dir})`);
+  const preview = formatDoneLine(result);
+  if (preview) agentLog(metaProject, preview);
+}
+
+// ── File Watch ─────────────────────────────────────────────
+
+function globToRegExp(pattern) {
+  const p = pattern.replace(/^\.\//, "");
+  let re = "";
+  for (let i = 0; i < p.length; i++) {
+    const c = p[i];
+    if (c === "*" && p[i + 1] === "*") {
+      const dirs = p[i + 2] === "/";
+      re += dirs ? "(?:.*/)?" : ".*";
+      i += dirs ? 2 : 1;
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// The deepest existing directory that can see every match of the pattern.
+function resolveWatchBase(dir, pattern) {
+  const parts = pattern.replace(/^\.\//, "").split("/");
+  const g = parts.findIndex((seg) => /[*?]/.test(seg));
+  const fixed = g < 0 ? parts.slice(0, -1) : parts.slice(0, g);
+  let recursive = g >= 0 && (parts.length - g > 1 || parts[g].includes("**"));
+  let base = path.join(dir, ...fixed);
+  while (base !== dir && !fs.existsSync(base)) {
+    base = path.dirname(base);
+    recursive = true;
+  }
+  return { base, recursive };
+}
+
+function buildFilesChangedInput(prompt, files) {
+  return `${prompt}\n\nChanged files:\n${files.map((f) => `- ${f}`).join("\n")}`;
+}
+
+// fs.watch's recursive mode is missing on Linux before Node 20 and can't skip
+// directories, so recursive patterns get one watcher per directory instead.
+function listWatchDirs(base, ignore) {
+  const out = [base];
+  for (let i = 0; i < out.length; i++) {
+    let entries;
+    try {
+      entries = fs.readdirSync(out[i], { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const e of entries) {
+      if (e.isDirectory() && !ignore.has(e.name)) out.push(path.join(out[i], e.name));
+    }
+  }
+  return out;
+}
+
+function startFileWatch(project, onChange) {
+  const { paths, debounce } = project.config.watchFiles;
+  if (!paths.length || project.fileWatchers.length) return false;
+  const matchers = paths.map(globToRegExp);
+  const debounceMs = parseDurationSetting(debounce, parseDurationMs(DEFAULT_WATCH_DEBOUNCE));
+  const marker = path.relative(project.dir, project.configPath);
+  const ignore = new Set([".git", ...(project.globalConfig || DEFAULT_GLOBAL_CONFIG).ignoreDirs]);
+  const flush = () => {
+    project.fileWatchTimer = null;
+    const files = [...project.changedFiles].sort();
+    project.changedFiles.clear();
+    if (files.length) onChange(project, files);
+  };
+  // dir -> { watcher, recursive }
+  const watched = new Map();
+  const unwatchDir = (dir) => {
+    for (const [d, entry] of watched) {
+      if (d !== dir && !d.startsWith(`${dir}${path.sep}`)) continue;
+      entry.watcher.close();
+      watched.delete(d);
+      project.fileWatchers = project.fileWatchers.filter((w) => w !== entry.watcher);
+    }
+  };
+  const noteChange = (full) => {
+    const rel = path.relative(project.dir, full).split(path.sep).join("/");
+    if (rel === marker || rel.startsWith(`${marker}.tmp-`) || rel.startsWith(".git/")) return;
+    if (!matchers.some((m) => m.test(rel))) return;
+    project.changedFiles.add(rel);
+    if (project.fileWatchTimer) clearTimeout(project.fileWatchTimer);
+    project.fileWatchTimer = setTimeout(flush, debounceMs);
+  };
+  const watchDir = (dir, recursive) => {
+    const known = watched.get(dir);
+    if (known) {
+      known.recursive = known.recursive || recursive;
+      return;
+    }
+    let watcher;
+    try {
+      watcher = fs.watch(dir);
+    } catch (err) {
+      pushActivity(project, `[files] cannot watch ${dir}: ${err && err.message ? err.message : String(err)}`);
+      return;
+    }
+    const entry = { watcher, recursive };
+    watched.set(dir, entry);
+    watcher.on("change", (_type, name) => {
+      if (!name) return;
+      const full = path.join(dir, String(name));
+      if (entry.recursive && !ignore.has(String(name))) {
+        let stat;
         try {
-          evt = JSON.parse(line);
-        } catch {
-          return;
+          stat = fs.statSync(full, { throwIfNoEntry: false });
+        } catch (err) {
+          pushActivity(project, `[files] cannot stat ${full}: ${err && err.message ? err.message : String(err)}`);
         }
-        stream.streamSeen = true;
-        applyStreamEvent(stream, evt);
-        if (isInputWaitEvent(evt)) {
-          agentLog(metaProject, "[wait] meta agent requested user input; stopping this run");
-          stopFor("meta agent requested user input");
-          return;
+        if (stat && stat.isDirectory() && !watched.has(full)) {
+          // files can land in a new directory before its watcher exists
+          for (const sub of listWatchDirs(full, ignore)) {
+            watchDir(sub, true);
+            let entries;
+            try {
+              entries = fs.readdirSync(sub, { withFileTypes: true });
+            } catch {
+              continue;
+            }
+            for (const e of entries) {
+              if (!e.isDirectory()) noteChange(path.join(sub, e.name));
+            }
+          }
+        } else if (!stat && watched.has(full)) {
+          unwatchDir(full);
         }
-        const msg = toProgressLine(evt);
-        if (msg) agentLog(metaProject, msg);
-      });
+      }
+      noteChange(full);
     });
-
-    proc.stderr.on("data", (b) => {
-      const chunk = String(b);
-      stderr += chunk;
-      consumeStreamChunk(chunk, stderrState, (line) => {
-        const msg = previewText(line);
-        if (msg) agentLog(metaProject, `[stderr] ${msg}`);
-        if (line.toLowerCase().includes("waiting for user input")) {
-          stopFor("meta agent requested user input");
-        }
-      });
+    watcher.on("error", (err) => {
+      unwatchDir(dir);
+      pushActivity(project, `[files] watch error: ${err && err.message ? err.message : String(err)}`);
     });
+    project.fileWatchers.push(watcher);
+  };
+  for (const pattern of paths) {
+    const { base, recursive } = resolveWatchBase(project.dir, pattern);
+    for (const dir of recursive ? listWatchDirs(base, ignore) : [base]) watchDir(dir, recursive);
+  }
+  return project.fileWatchers.length > 0;
+}
+
+function stopFileWatch(project) {
+  for (const w of project.fileWatchers) w.close();
+  project.fileWatchers = [];
+  if (project.fileWatchTimer) clearTimeout(project.fileWatchTimer);
+  project.fileWatchTimer = null;
+  project.changedFiles.clear();
+}
+
+// ── Notifications ──────────────────────────────────────────
+
+function parseQuietHours(s) {
+  const m = String(s || "").trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const [h1, m1, h2, m2] = m.slice(1).map(Number);
+  if (h1 > 23 || h2 > 23 || m1 > 59 || m2 > 59) return null;
+  return { start: h1 * 60 + m1, end: h2 * 60 + m2 };
+}
 
+// Local time; a range like 22:00-07:00 wraps past midnight.
+function isQuietTime(quietHours, d = new Date()) {
+  const q = parseQuietHours(quietHours);
+  if (!q || q.start === q.end) return false;
+  const now = d.getHours() * 60 + d.getMinutes();
+  return q.start < q.end ? now >= q.start && now < q.end : now >= q.start || now < q.end;
+}
+
+function formatTerminalNotification(style, title, message) {
+  const clean = (v) => String(v).replace(/[\x00-\x1f\x7f;]/g, " ");
+  if (style === "bell") return "\x07";
+  if (style === "osc9") return `\x1b]9;${clean(`${title}: ${message}`)}\x07`;
+  if (style === "osc777") return `\x1b]777;notify;${clean(title)};${clean(message)}\x07`;
+  return "";
+}
+
+// Fires every configured channel and returns their names. The command and
+// webhook run in the background; their failures are only logged.
+function sendNotification(notify, evt, d = new Date()) {
+  if (!notify || !notify.events.includes(evt.event) || isQuietTime(notify.quietHours, d)) return [];
+  const sent = [];
+  if (notify.terminal && process.stdout.isTTY) {
+    process.stdout.write(formatTerminalNotification(notify.terminal, evt.title, evt.message));
+    sent.push("terminal");
+  }
+  if (notify.command) {
+    const proc = spawn(notify.command, {
+      shell: true,
+      stdio: "ignore",
+      env: {
+        ...process.env,
+        ROUNDSMAN_NOTIFY_EVENT: evt.event,
+        ROUNDSMAN_NOTIFY_PROJECT: evt.project,
+        ROUNDSMAN_NOTIFY_TITLE: evt.title,
+        ROUNDSMAN_NOTIFY_MESSAGE: evt.message,
+      },
+    });
+    const timer = setTimeout(() => proc.kill(), NOTIFY_TIMEOUT_MS);
+    proc.on("error", (err) => rmLog(`[warn] notify command: ${err.message}`));
     proc.on("close", (code) => {
-      if (done) return;
-      done = true;
-      if (ctx.runtime.metaProc === proc) ctx.runtime.metaProc = null;
-      let result = "";
-      let cost = 0;
-      let turns = 0;
-
-      consumeStreamTail(stream, (line) => {
-        let evt = null;
-        try {
-          evt = JSON.parse(line);
-        } catch {
-          return;
-        }
-        stream.streamSeen = true;
-        applyStreamEvent(stream, evt);
-        const msg = toProgressLine(evt);
-        if (msg) agentLog(metaProject, msg);
-      });
-      consumeStreamTail(stderrState, (line) => {
-        const msg = previewText(line);
-        if (msg) agentLog(metaProject, `[stderr] ${msg}`);
-      });
+      clearTimeout(timer);
+      if (code) rmLog(`[warn] notify command exited ${code}`);
+    });
+    sent.push("command");
+  }
+  if (notify.webhook) {
+    fetch(notify.webhook, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(evt),
+      signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+    })
+      .then((res) => {
+        if (!res.ok) rmLog(`[warn] notify webhook: HTTP ${res.status}`);
+      })
+      .catch((err) => rmLog(`[warn] notify webhook: ${err.message}`));
+    sent.push("webhook");
+  }
+  return sent;
+}
+
+function notifyProject(project, event, message) {
+  const titles = { done: "done", error: "failed", "needs-input": "needs input", budget: "budget reached" };
+  const notify = project.globalConfig ? project.globalConfig.notify : null;
+  return sendNotification(notify, {
+    event,
+    project: project.name,
+    title: `roundsman: ${project.name} ${titles[event]}`,
+    message: previewText(message, 200),
+    at: nowIso(),
+  });
+}
+
+// ── Webhooks ───────────────────────────────────────────────
+
+// Deliveries still being tried, by delivery id and url. Shutdown moves them
+// to the outbox so quitting during a backoff doesn't lose them.
+const WEBHOOK_PENDING = new Map();
+
+function signWebhookBody(secret, body) {
+  return `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+function loadWebhookOutbox() {
+  const file = resolveWebhookOutboxPath();
+  if (!fs.existsSync(file)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    const row = parseJsonObject(line);
+    if (row && typeof row.url === "string" && typeof row.body === "string") out.push(row);
+  }
+  return out;
+}
+
+function appendWebhookOutbox(row) {
+  const file = resolveWebhookOutboxPath();
+  ensureParentDir(file);
+  fs.appendFileSync(file, `${JSON.stringify(row)}\n`, { encoding: "utf-8", mode: 0o600 });
+}
+
+function writeWebhookOutbox(rows) {
+  const file = resolveWebhookOutboxPath();
+  if (!rows.length) {
+    fs.rmSync(file, { force: true });
+    return;
+  }
+  const tmp = `${file}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, rows.map((row) => `${JSON.stringify(row)}\n`).join(""), { encoding: "utf-8", mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// One POST; resolves "" on a 2xx and the failure otherwise.
+async function postWebhook(hook, delivery) {
+  const headers = {
+    "content-type": "application/json",
+    "user-agent": "roundsman",
+    "x-roundsman-event": delivery.event,
+    "x-roundsman-delivery": delivery.id,
+  };
+  if (delivery.signature) headers["x-roundsman-signature"] = delivery.signature;
+  try {
+    const res = await fetch(hook.url, { method: "POST", headers, body: delivery.body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) });
+    return res.ok ? "" : `HTTP ${res.status}`;
+  } catch (err) {
+    return err.cause && err.cause.message ? err.cause.message : err.message;
+  }
+}
 
-      if (stopReason) {
-        result = `stopped: ${stopReason}`;
-      } else if (code === 0 && stdout.trim()) {
-        if (stream.streamSeen) {
-          result = stream.result || "";
-          cost = stream.cost || 0;
-          turns = stream.turns || 0;
-        }
-        if (!result) {
-          try {
-            const json = JSON.parse(stdout.trim());
-            result = json.result || "";
-            if (!cost) cost = json.total_cost_usd || 0;
-            if (!turns) turns = json.num_turns || 0;
-          } catch {
-            result = stdout.trim().slice(0, 2000);
-          }
-        }
-      } else {
-        const err = stderr.trim().slice(0, 500);
-        const out = stdout.trim().slice(0, 500);
-        const detail = err || out;
-        result = `error: exit ${code} — ${detail}`;
-      }
+// Tries once plus `hook.retries` times, waiting 1s, 4s, 16s, ... in between.
+// A delivery that still fails is kept in the outbox for /webhooks retry.
+// The signature is made once and kept with an outbox row, so a retry is
+// signed with the secret in force when the event happened.
+async function deliverWebhook(hook, unsigned) {
+  const delivery = { ...unsigned, signature: hook.secret ? signWebhookBody(hook.secret, unsigned.body) : "" };
+  const key = `${delivery.id} ${hook.url}`;
+  let error = "";
+  WEBHOOK_PENDING.set(key, { url: hook.url, ...delivery });
+  for (let attempt = 0; attempt <= hook.retries; attempt++) {
+    if (attempt) await new Promise((resolve) => setTimeout(resolve, WEBHOOK_BACKOFF_MS * 4 ** (attempt - 1)).unref());
+    error = await postWebhook(hook, delivery);
+    if (!error) {
+      WEBHOOK_PENDING.delete(key);
+      return true;
+    }
+  }
+  // already in the outbox if roundsman shut down while this was retrying
+  if (!WEBHOOK_PENDING.delete(key)) return false;
+  try {
+    appendWebhookOutbox({ url: hook.url, ...delivery, error, failedAt: nowIso() });
+  } catch (err) {
+    rmLog(`[warn] failed to write webhook outbox: ${err && err.message ? err.message : String(err)}`);
+  }
+  rmLog(`[webhook] ${delivery.event} to ${hook.url} failed after ${hook.retries + 1} attempt(s): ${error} (kept in outbox)`);
+  return false;
+}
 
-      const finalSession = stream.sessionId || seedSessionId;
-      appendMetaHistory({
-        at: nowIso(),
-        goal,
-        workspace: workspace.dir,
-        result: result.slice(0, 2000),
-        cost,
-        turns,
-        sessionId: finalSession,
-        status: result.startsWith("error:") ? "error" : "ok",
-      });
+function collectWebhooks(cfg, project, event) {
+  const all = [...(cfg ? cfg.webhooks : []), ...(project && project.config ? project.config.webhooks : [])];
+  return event ? all.filter((h) => h.events.includes(event)) : all;
+}
 
-      if (result.startsWith("error:")) rmLog(`-> meta failed (${workspace.dir})`);
-      else if (result.startsWith("stopped:")) rmLog(`-> meta stopped (${workspace.dir})`);
-      else rmLog(`-> meta complete ($${cost.toFixed(4)}) (${workspace.dir})`);
-      const preview = formatDoneLine(result);
-      if (preview) agentLog(metaProject, preview);
-      resolve();
-    });
+// Posts `event` to the global hooks and the project's own; meta runs pass no
+// project. Deliveries run in the background.
+function emitWebhook(cfg, project, event, data = {}) {
+  const hooks = collectWebhooks(cfg, project, event);
+  if (!hooks.length) return 0;
+  const payload = {
+    event,
+    at: nowIso(),
+    project: project ? { name: project.name, dir: project.dir, repo: formatRepoTag(project), branch: project.branch || "" } : null,
+    ...data,
+  };
+  const delivery = { id: randomUUID(), event, body: JSON.stringify(payload) };
+  for (const hook of hooks) {
+    deliverWebhook(hook, delivery).catch((err) => rmLog(`[warn] webhook ${event} to ${hook.url}: ${err && err.message ? err.message : String(err)}`));
+  }
+  return hooks.length;
+}
 
-    proc.on("error", (err) => {
-      if (done) return;
-      done = true;
-      if (ctx.runtime.metaProc === proc) ctx.runtime.metaProc = null;
-      const msg = `spawn error: ${err.message}`;
-      appendMetaHistory({
-        at: nowIso(),
-        goal,
-        workspace: workspace.dir,
-        result: msg,
-        cost: 0,
-        turns: 0,
-        sessionId: seedSessionId,
-        status: "error",
-      });
-      rmLog(`-> meta failed: ${msg}`);
-      resolve();
-    });
-  });
+// Writes deliveries that are still being tried to the outbox; returns how
+// many. Called on shutdown.
+function flushPendingWebhooks() {
+  const rows = [...WEBHOOK_PENDING.values()];
+  WEBHOOK_PENDING.clear();
+  for (const row of rows) {
+    try {
+      appendWebhookOutbox({ ...row, error: "roundsman shut down before delivery", failedAt: nowIso() });
+    } catch (err) {
+      rmLog(`[warn] failed to write webhook outbox: ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+  return rows.length;
+}
+
+// Sends each outbox entry once more, signed with the secret of whichever
+// configured hook has the same url; whatever fails again stays in the outbox.
+// The file is rewritten after every post, from a fresh read so deliveries
+// that failed meanwhile are kept, and an interrupted retry loses nothing.
+// Rows whose URL is no longer configured are dropped, not sent.
+async function retryWebhookOutbox(hooks) {
+  const rows = loadWebhookOutbox();
+  let sent = 0;
+  let failed = 0;
+  let dropped = 0;
+  for (const row of rows) {
+    const hook = hooks.find((h) => h.url === row.url);
+    const error = hook ? await postWebhook(hook, row) : "";
+    if (!hook) dropped += 1;
+    else if (error) failed += 1;
+    else sent += 1;
+    const current = loadWebhookOutbox();
+    const idx = current.findIndex((r) => r.id === row.id && r.url === row.url);
+    if (idx === -1) continue;
+    if (error) current[idx] = { ...row, error, failedAt: nowIso() };
+    else current.splice(idx, 1);
+    writeWebhookOutbox(current);
+  }
+  return { sent, failed, dropped };
 }
 
 // ── Readline Helpers ───────────────────────────────────────
@@ -1357,8 +3051,16 @@ function createRl() {
   return createInterface({ input: process.stdin, output: process.stdout });
 }
 
-function ask(rl, prompt) {
-  return new Promise((resolve) => rl.question(prompt, resolve));
+// Resolves null when `signal` aborts the question.
+function ask(rl, prompt, signal) {
+  return new Promise((resolve) => {
+    if (!signal) {
+      rl.question(prompt, resolve);
+      return;
+    }
+    signal.addEventListener("abort", () => resolve(null), { once: true });
+    rl.question(prompt, { signal }, resolve);
+  });
 }
 
 function parseAction(input) {
@@ -1416,12 +3118,22 @@ function resolveHookAction(config, hookName) {
   return { type: "prompt", value: raw };
 }
 
-function runProjectHook(project, hookName, runtime, onAgentDone) {
+// `files` (afterFilesChanged) is appended to prompt hooks and passed to shell
+// hooks as ROUNDSMAN_CHANGED_FILES, one path per line.
+function runProjectHook(project, hookName, runtime, onAgentDone, files) {
   const action = resolveHookAction(project.config, hookName);
   if (action.type === "none") return { ran: false, startedAgent: false };
   if (action.type === "shell") {
     rmLog(`-> hook ${hookName} (${project.name}) shell: ${action.value}`);
-    const out = spawnSync(action.value, { cwd: project.dir, shell: true, encoding: "utf-8", stdio: "pipe" });
+    const timeoutMs = project.globalConfig ? project.globalConfig.hookTimeoutMs : DEFAULT_HOOK_TIMEOUT_MS;
+    const out = spawnSync(action.value, {
+      cwd: project.dir,
+      env: files ? { ...process.env, ROUNDSMAN_CHANGED_FILES: files.join("\n") } : process.env,
+      shell: true,
+      encoding: "utf-8",
+      stdio: "pipe",
+      timeout: timeoutMs || undefined,
+    });
     const stdout = typeof out.stdout === "string" ? out.stdout.trim() : "";
     const stderr = typeof out.stderr === "string" ? out.stderr.trim() : "";
     if (stdout) {
@@ -1440,7 +3152,11 @@ function runProjectHook(project, hookName, runtime, onAgentDone) {
         agentLog(project, `[hook ${hookName} stderr] ${msg}`);
       }
     }
-    if (out.error) {
+    if (out.error && out.error.code === "ETIMEDOUT") {
+      const msg = `killed after ${formatMsShort(timeoutMs)}`;
+      rmLog(`-> hook ${hookName} timeout (${project.name}): ${msg}`);
+      pushActivity(project, `[hook ${hookName} timeout] ${msg}`);
+    } else if (out.error) {
       const msg = out.error.message || "shell hook failed";
       rmLog(`-> hook ${hookName} error (${project.name}): ${msg}`);
       pushActivity(project, `[hook ${hookName} error] ${msg}`);
@@ -1451,13 +3167,40 @@ function runProjectHook(project, hookName, runtime, onAgentDone) {
     return { ran: true, startedAgent: false };
   }
 
+  const blocked = getBudgetBlock(project, runtime);
+  if (blocked) {
+    rmLog(`-> hook ${hookName} (${project.name}) skipped: ${blocked}`);
+    pushActivity(project, `[budget] hook ${hookName} skipped: ${blocked}`);
+    return { ran: false, startedAgent: false };
+  }
   rmLog(`-> hook ${hookName} (${project.name}) prompt`);
   flushBufferedProgress(project);
   project.holdStream = false;
-  spawnAgent(project, action.value, onAgentDone, runtime.model);
+  startAgentTurn(project, files ? buildFilesChangedInput(action.value, files) : action.value, runtime, onAgentDone);
   return { ran: true, startedAgent: true };
 }
 
+// Prompt hooks never run alongside another agent turn for the same project:
+// while a turn is in flight the hook waits for it to finish (see onAgentDone).
+function runAfterVisitHook(project, queue, runtime, onAgentDone) {
+  const action = resolveHookAction(project.config, "afterVisit");
+  if (action.type === "none") return { ran: false, startedAgent: false };
+  if (action.type === "shell") return runProjectHook(project, "afterVisit", runtime, onAgentDone);
+  if (project.state === "working" || project.state === "queued") {
+    project.pendingHook = "afterVisit";
+    rmLog(`-> hook afterVisit (${project.name}) queued until current turn finishes`);
+    return { ran: false, startedAgent: false };
+  }
+  if (project.state !== "idle") {
+    rmLog(`-> hook afterVisit (${project.name}) skipped (${project.state})`);
+    return { ran: false, startedAgent: false };
+  }
+  const hook = runProjectHook(project, "afterVisit", runtime, onAgentDone);
+  const i = queue.indexOf(project);
+  if (hook.startedAgent && i >= 0) queue.splice(i, 1);
+  return hook;
+}
+
 function parseTodoInput(input) {
   if (!input || typeof input !== "string") return [];
   return input
@@ -1486,21 +3229,35 @@ function parseCliArgs(args) {
   let json = false;
   let dryRun = false;
   let noColor = false;
+  let resume = false;
+  let since = "";
+  let macro = "";
   const pos = [];
 
-  for (const x of raw) {
+  for (let i = 0; i < raw.length; i++) {
+    const x = raw[i];
     if (x === "--help" || x === "-h") { help = true; continue; }
+    if (x === "--since") { since = raw[i + 1] || ""; i += 1; continue; }
+    if (x.startsWith("--since=")) { since = x.slice("--since=".length); continue; }
     if (x === "--json") { json = true; continue; }
     if (x === "--dry-run") { dryRun = true; continue; }
     if (x === "--no-color") { noColor = true; continue; }
+    if (x === "--resume") { resume = true; continue; }
+    if (x === "--macro") { macro = raw[i + 1] || ""; i += 1; continue; }
+    if (x.startsWith("--macro=")) { macro = x.slice("--macro=".length); continue; }
     pos.push(x);
   }
 
   const lead = pos[0] || "";
-  if (lead === "add" || lead === "init" || lead === "list") {
-    return { command: lead, pathArg: pos[1] || "", help, json, dryRun, noColor };
+  // for `tail` and `send`, pathArg is the project selector; `send` takes the
+  // rest of the words as its prompt
+  if (lead === "send") {
+    return { command: lead, pathArg: pos[1] || "", text: pos.slice(2).join(" "), help, json, dryRun, noColor, resume, since, macro };
+  }
+  if (lead === "add" || lead === "init" || lead === "list" || lead === "usage" || lead === "status" || lead === "tail") {
+    return { command: lead, pathArg: pos[1] || "", text: "", help, json, dryRun, noColor, resume, since, macro };
   }
-  return { command: "run", pathArg: lead, help, json, dryRun, noColor };
+  return { command: "run", pathArg: lead, text: "", help, json, dryRun, noColor, resume, since, macro };
 }
 
 function parseDurationMs(input) {
@@ -1517,6 +3274,17 @@ function parseDurationMs(input) {
   return 0;
 }
 
+function parseDurationSetting(v, fallbackMs) {
+  if (typeof v === "number") return Number.isFinite(v) && v >= 0 ? Math.round(v * 1000) : fallbackMs;
+  if (typeof v !== "string") return fallbackMs;
+  const s = v.trim().toLowerCase();
+  if (s === "0" || s === "off") return 0;
+  // a bare numeral means seconds, as it does for a JSON number; unlike
+  // /snooze durations, where it means minutes
+  if (/^\d+$/.test(s)) return parseDurationMs(`${s}s`) || fallbackMs;
+  return parseDurationMs(s) || fallbackMs;
+}
+
 function formatMsShort(ms) {
   const s = Math.max(1, Math.ceil(ms / 1000));
   if (s < 60) return `${s}s`;
@@ -1533,7 +3301,7 @@ function refreshSnoozed(projects, queue) {
   for (const p of projects) {
     if (p.state !== "snoozed") continue;
     if (!p.snoozeUntil || p.snoozeUntil > now) continue;
-    p.state = "idle";
+    setProjectState(p, "idle");
     p.snoozeUntil = 0;
     if (!queue.includes(p)) queue.push(p);
     woke.push(p);
@@ -1558,21 +3326,123 @@ function getProjectUsage(project) {
   return cost;
 }
 
-function displayUsage(projects, totalCost) {
+function displayUsage(projects, totalCost, budget) {
   rmLog(`usage: total $${totalCost.toFixed(4)}`);
+  const b = budget && typeof budget === "object" ? budget : {};
+  if (b.session > 0) {
+    rmLog(`session budget: $${b.session.toFixed(2)} ($${Math.max(0, b.session - totalCost).toFixed(4)} left)`);
+  }
+  if (b.daily > 0) {
+    const spent = b.dailySpent || 0;
+    rmLog(`daily budget: $${b.daily.toFixed(2)} ($${spent.toFixed(4)} spent today, $${Math.max(0, b.daily - spent).toFixed(4)} left)`);
+  }
   for (const p of projects) {
     const cost = getProjectUsage(p);
     const turns = p.config.session.history.length;
-    rmLog(`${p.name.padEnd(30)} $${cost.toFixed(4)}  ${turns} turns`);
+    const cap = p.config.budget && p.config.budget.project > 0
+      ? `  budget $${Math.max(0, p.config.budget.project - (p.spent || 0)).toFixed(4)} left`
+      : "";
+    rmLog(`${p.name.padEnd(30)} $${cost.toFixed(4)}  ${turns} turns${cap}`);
+  }
+}
+
+function parseSinceMs(input, now = Date.now()) {
+  const s = String(input || "").trim();
+  if (!s) return 0;
+  const rel = parseDurationMs(s);
+  if (rel) return now - rel;
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])).getTime();
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : null;
+}
+
+function buildUsageReport(rows, sinceMs = 0) {
+  const total = { cost: 0, turns: 0, count: 0, durationMs: 0, errors: 0 };
+  const groups = { day: new Map(), project: new Map(), model: new Map(), macro: new Map() };
+  const add = (map, key, row) => {
+    const cur = map.get(key) || { cost: 0, turns: 0, count: 0 };
+    cur.cost += row.cost;
+    cur.turns += row.turns;
+    cur.count += 1;
+    map.set(key, cur);
+  };
+  for (const r of Array.isArray(rows) ? rows : []) {
+    const t = Date.parse(r.at);
+    if (!Number.isFinite(t) || t < sinceMs) continue;
+    const row = {
+      cost: typeof r.cost === "number" ? r.cost : 0,
+      turns: typeof r.turns === "number" ? r.turns : 0,
+    };
+    total.cost += row.cost;
+    total.turns += row.turns;
+    total.count += 1;
+    total.durationMs += typeof r.durationMs === "number" ? r.durationMs : 0;
+    if (r.status === "error") total.errors += 1;
+    add(groups.day, localDay(new Date(t)), row);
+    add(groups.project, r.project || "(unknown)", row);
+    add(groups.model, r.model || "(default)", row);
+    add(groups.macro, r.macro || "(none)", row);
+  }
+  const list = (map) => Array.from(map.entries())
+    .map(([key, v]) => ({ key, ...v }))
+    .sort((a, b) => b.cost - a.cost || a.key.localeCompare(b.key));
+  return {
+    since: sinceMs ? new Date(sinceMs).toISOString() : "",
+    total,
+    byDay: list(groups.day).sort((a, b) => a.key.localeCompare(b.key)),
+    byProject: list(groups.project),
+    byModel: list(groups.model),
+    byMacro: list(groups.macro),
+  };
+}
+
+function displayUsageReport(report) {
+  const t = report.total;
+  rmLog(`usage${report.since ? ` since ${report.since}` : ""}: $${t.cost.toFixed(4)} over ${t.count} turn(s) (${t.errors} error(s))`);
+  const sections = [["day", report.byDay], ["project", report.byProject], ["model", report.byModel], ["macro", report.byMacro]];
+  for (const [label, rows] of sections) {
+    if (!rows.length) continue;
+    rmLog(`by ${label}:`);
+    for (const r of rows) rmLog(`${r.key.padEnd(30)} $${r.cost.toFixed(4)}  ${r.count} turn(s)`);
   }
 }
 
+// While a question is open, /work input is the answer: it resumes the same
+// session with the question quoted. A backend without sessions has nothing to
+// resume, so the task the question came from is sent again with the answer.
+function resolveWorkTurn(project, input) {
+  if (!isAwaitingAnswer(project)) return { input, opts: {}, answer: false };
+  const answer = buildAnswerInput(project.agentStatus.question, input);
+  if (hasAgentSessions(project)) return { input: answer, opts: { resume: true }, answer: true };
+  return { input: project.turnInput ? `${project.turnInput}\n\n${answer}` : answer, opts: {}, answer: true };
+}
+
+function hasAgentSessions(project) {
+  return !project.backend || project.backend.adapter.sessions === true;
+}
+
+function refuseOverBudget(project, runtime) {
+  const blocked = getBudgetBlock(project, runtime);
+  if (!blocked) return false;
+  rmLog(`-> budget: ${blocked}`);
+  return true;
+}
+
 function displayProjectCompact(project) {
   const { config } = project;
   const tag = formatRepoTag(project);
   const doing = config.doing.length ? ` doing: ${config.doing[0]}` : "";
   const turn = ` t${config.session.turn}`;
   rmLog(`${tag}${turn}${doing}`);
+  const status = project.agentStatus;
+  if (isAwaitingAnswer(project)) {
+    rmLog(`question: ${status.question || "(no question text)"}`);
+    const how = hasAgentSessions(project) ? "resume the session" : "re-run the task with it";
+    rmLog(`(reply to answer and ${how}, or give a new /work task with /fresh first)`);
+  } else if (status && status.status !== "done") {
+    rmLog(`${status.status}: ${status.reason || status.question || "(no details)"}`);
+  }
 }
 
 function displayStartupConfig(globalConfig, roots, projects) {
@@ -1582,11 +3452,26 @@ function displayStartupConfig(globalConfig, roots, projects) {
   rmLog(`roots: ${roots.join(" | ")}`);
   rmLog(`maxDepth: ${globalConfig.maxDepth} | maxHistory: ${globalConfig.maxHistory}`);
   rmLog(`model: ${globalConfig.defaultModel || "(cli default)"}`);
+  rmLog(`backend: ${globalConfig.defaultBackend}`);
   rmLog(`permission: ${globalConfig.defaultPermissionMode}`);
+  rmLog(`maxConcurrentAgents: ${globalConfig.maxConcurrentAgents || "unlimited"}`);
   rmLog(`checkpoints: ${globalConfig.checkpoint.enabled ? "on" : "off"} (git: ${active}/${total})`);
   rmLog(`autoInitGit: ${globalConfig.checkpoint.autoInitGit ? "on" : "off"}`);
+  const n = globalConfig.notify;
+  const channels = [n.terminal, n.command && "command", n.webhook && "webhook"].filter(Boolean);
+  const quiet = n.quietHours ? `, quiet ${n.quietHours}` : "";
+  rmLog(`notify: ${channels.length ? `${channels.join(", ")} on ${n.events.join(", ") || "(no events)"}${quiet}` : "off"}`);
   rmLog("round-robin:");
-  for (const p of projects) rmLog(`- ${formatRepoTag(p)} (${p.dir})`);
+  for (const p of projects) {
+    const backend = p.backend && p.backend.name !== globalConfig.defaultBackend ? ` [${p.backend.name}]` : "";
+    rmLog(`- ${formatRepoTag(p)} (${p.dir})${backend}`);
+  }
+  const g = globalConfig.budget;
+  for (const p of projects) {
+    if (!p.backend || p.backend.adapter.reportsCost) continue;
+    if (!(g.session > 0 || g.daily > 0 || p.config.budget.project > 0 || p.config.budget.loop > 0)) continue;
+    rmLog(`[warn] ${p.name}: the ${p.backend.name} backend reports no cost, so budgets never stop its turns`);
+  }
 }
 
 function displayLoops(projects) {
@@ -1597,7 +3482,8 @@ function displayLoops(projects) {
   }
   rmLog("loops:");
   for (const p of active) {
-    rmLog(`${formatRepoTag(p)}: ${p.loop.done}/${p.loop.max} "${p.loop.goal}"`);
+    const kind = p.loop.autopilot ? "autopilot " : "";
+    rmLog(`${formatRepoTag(p)}: ${kind}${p.loop.done}/${p.loop.max} "${p.loop.goal}"`);
   }
 }
 
@@ -1620,11 +3506,13 @@ function findProjectBySelector(projects, selector) {
 function stopLoop(project, queue, why) {
   if (!project.loop) return false;
   project.loop = null;
-  if (project.proc) {
+  if (project.run) {
     project.stopReason = why || "loop stop";
-    project.proc.kill();
-    project.proc = null;
-    project.state = "idle";
+    project.run.kill();
+    project.run = null;
+    setProjectState(project, "idle");
+  } else {
+    cancelPendingTurn(project);
   }
   if (!queue.includes(project)) queue.push(project);
   return true;
@@ -1633,25 +3521,31 @@ function stopLoop(project, queue, why) {
 function stopWatcher(project, why) {
   if (!project.watchProc) return false;
   project.watchStopReason = why || "stopped";
-  project.watchProc.kill();
+  signalWatcher(project.watchProc);
   project.watchProc = null;
   return true;
 }
 
 function killProject(project, queue, why) {
   let killed = false;
-  if (project.proc) {
+  if (project.run) {
     project.loop = null;
     project.stopReason = why || "killed";
-    project.proc.kill();
-    project.proc = null;
+    project.run.kill();
+    project.run = null;
+    killed = true;
+  } else if (cancelPendingTurn(project)) {
+    project.loop = null;
     killed = true;
   }
   if (stopWatcher(project, why || "killed")) {
     killed = true;
+  } else if (project.state === "watching") {
+    // parked on file changes only, nothing to stop
+    killed = true;
   }
   if (!killed) return false;
-  project.state = "idle";
+  setProjectState(project, "idle");
   project.snoozeUntil = 0;
   if (!queue.includes(project)) queue.push(project);
   return true;
@@ -1660,8 +3554,10 @@ function killProject(project, queue, why) {
 function dropProject(project, queue) {
   stopLoop(project, queue, "dropped");
   stopWatcher(project, "dropped");
-  project.state = "dropped";
+  cancelPendingTurn(project);
+  setProjectState(project, "dropped");
   project.snoozeUntil = 0;
+  project.inbox = [];
   const i = queue.indexOf(project);
   if (i >= 0) queue.splice(i, 1);
 }
@@ -1669,12 +3565,90 @@ function dropProject(project, queue) {
 function snoozeProject(project, queue, ms) {
   stopLoop(project, queue, "snoozed");
   stopWatcher(project, "snoozed");
-  project.state = "snoozed";
+  cancelPendingTurn(project);
+  setProjectState(project, "snoozed");
   project.snoozeUntil = Date.now() + ms;
   const i = queue.indexOf(project);
   if (i >= 0) queue.splice(i, 1);
 }
 
+function buildRuntimeState(projects, queue, runtime) {
+  return {
+    savedAt: nowIso(),
+    pid: process.pid,
+    startedAt: runtime && Number.isFinite(runtime.startedAt) ? new Date(runtime.startedAt).toISOString() : "",
+    model: runtime && typeof runtime.model === "string" ? runtime.model : "",
+    queue: queue.map((p) => p.dir),
+    projects: projects.map((p) => ({
+      dir: p.dir,
+      name: p.name,
+      state: p.state,
+      snoozeUntil: p.state === "snoozed" ? p.snoozeUntil : 0,
+      loop: p.loop ? { max: p.loop.max, goal: p.loop.goal, done: p.loop.done, ...(p.loop.autopilot ? { autopilot: true } : {}) } : null,
+      turnInput: (p.state === "working" || p.state === "queued") && typeof p.turnInput === "string" ? p.turnInput : "",
+      agentStatus: p.agentStatus || null,
+      pinned: p.pinned === true,
+      inbox: Array.isArray(p.inbox) ? p.inbox.map((w) => ({ input: w.input, label: w.label, macro: w.macro || "" })) : [],
+    })),
+  };
+}
+
+function restoreRuntimeState(projects, saved, now = Date.now()) {
+  const rows = saved && Array.isArray(saved.projects) ? saved.projects : [];
+  const byDir = new Map(projects.map((p) => [p.dir, p]));
+  const loops = [];
+  const interrupted = [];
+  for (const row of rows) {
+    const p = row && typeof row === "object" ? byDir.get(row.dir) : null;
+    if (!p) continue;
+    if (row.state === "dropped") {
+      setProjectState(p, "dropped");
+      continue;
+    }
+    p.agentStatus = normalizeAgentStatus(row.agentStatus);
+    p.pinned = row.pinned === true;
+    p.inbox = (Array.isArray(row.inbox) ? row.inbox : [])
+      .filter((w) => w && typeof w.input === "string" && w.input)
+      .map((w) => ({
+        input: w.input,
+        label: typeof w.label === "string" && w.label ? w.label : `"${previewText(w.input, 60)}"`,
+        macro: typeof w.macro === "string" ? w.macro : "",
+      }));
+    if (row.state === "snoozed" && typeof row.snoozeUntil === "number" && row.snoozeUntil > now) {
+      setProjectState(p, "snoozed");
+      p.snoozeUntil = row.snoozeUntil;
+    }
+    const loop = row.loop && typeof row.loop === "object" ? row.loop : null;
+    if (loop && Number.isSafeInteger(loop.max) && Number.isSafeInteger(loop.done) && loop.done < loop.max && typeof loop.goal === "string" && loop.goal) {
+      loops.push({ project: p, loop: { max: loop.max, goal: loop.goal, done: loop.done, ...(loop.autopilot === true ? { autopilot: true } : {}) } });
+    } else if (row.state === "working" || row.state === "queued") {
+      const kind = row.state === "queued" ? "queued" : "agent";
+      interrupted.push({ project: p, kind, input: typeof row.turnInput === "string" ? row.turnInput : "" });
+    } else if (row.state === "watching") {
+      interrupted.push({ project: p, kind: "watch", input: "" });
+    }
+  }
+  const order = saved && Array.isArray(saved.queue) ? saved.queue : [];
+  const queue = [];
+  for (const dir of order) {
+    const p = byDir.get(dir);
+    if (p && p.state === "idle" && !queue.includes(p)) queue.push(p);
+  }
+  for (const p of projects) {
+    if (p.state === "idle" && !queue.includes(p)) queue.push(p);
+  }
+  // open questions go first, as they did when they were asked
+  queue.sort((a, b) => Number(isAwaitingAnswer(b)) - Number(isAwaitingAnswer(a)));
+  const startedAt = saved ? Date.parse(saved.startedAt) : NaN;
+  return {
+    queue,
+    model: saved && typeof saved.model === "string" ? saved.model : null,
+    startedAt: Number.isFinite(startedAt) ? startedAt : null,
+    loops,
+    interrupted,
+  };
+}
+
 const REPL_ALIASES = {
   q: "quit",
   s: "drop",
@@ -1691,6 +3665,7 @@ const REPL_ALIASES = {
   a: "activity",
   r: "revert",
   cost: "usage",
+  t: "todo",
 };
 
 function showNoProjectsFound(roots) {
@@ -1732,6 +3707,7 @@ function collectDuplicateRepoBranches(projects) {
   const map = new Map();
   for (const p of projects) {
     if (!p.gitEnabled || !p.repoRoot || !p.branch) continue;
+    if (p.config && p.config.isolation === "worktree") continue;
     const key = `${p.repoRoot}::${p.branch}`;
     if (!map.has(key)) map.set(key, []);
     map.get(key).push(p);
@@ -1754,7 +3730,7 @@ function displayDuplicateRepoBranchWarnings(projects) {
     rmLog(`${g.repoName}@${g.branch}`);
     for (const p of g.projects) rmLog(`- ${p.dir}`);
   }
-  rmLog("consider separate branches/worktrees to avoid overlap.");
+  rmLog('consider separate branches or "isolation": "worktree" to avoid overlap.');
 }
 
 function displayScanOutput(roots, dirs, asJson) {
@@ -1773,7 +3749,7 @@ function displayScanOutput(roots, dirs, asJson) {
 }
 
 function displayReplHelp() {
-  rmLog("/work /workwait /watch /broadcast /meta /metawait /macro /skip /loop /stop /kill /loops /usage /model /snooze /drop /fresh /view /log /activity /revert /status /help /quit");
+  rmLog("/work /workwait /watch /broadcast /meta /metawait /macro /todo /autopilot /diff /review /merge /discard /schedule /webhooks /pin /priority /order /skip /loop /stop /kill /loops /usage /model /snooze /drop /fresh /view /log /activity /revert /status /help /quit");
 }
 
 function rotateQueue(queue, project) {
@@ -1783,7 +3759,91 @@ function rotateQueue(queue, project) {
   queue.push(project);
 }
 
-function skipProjectRounds(queue, project, rounds = 1) {
+function lastTurnErrored(project) {
+  const hist = project.config && project.config.session ? project.config.session.history : [];
+  const last = hist.length ? hist[hist.length - 1] : null;
+  return Boolean(last && typeof last.result === "string" && last.result.startsWith("error:"));
+}
+
+// Score = priority x time since the last visit, doubled after an errored
+// turn. With equal priorities the longest-waiting project wins, which is the
+// flat round-robin; never-visited projects count as waiting since the epoch.
+function scoreProject(project, waitedMs) {
+  const priority = project.config ? normalizePriority(project.config.priority) : 1;
+  return priority * waitedMs * (lastTurnErrored(project) ? 2 : 1);
+}
+
+// Scheduler state for one run: when each project was last visited, who was
+// visited this round and who already had their pinned/asking head start (a
+// round ends once every idle project has been visited), and how many more
+// visits a /skip keeps a project out for.
+function createVisitRounds() {
+  return { seen: new Set(), passed: new Set(), skipped: new Map(), lastVisit: new Map(), last: null };
+}
+
+function cloneVisitRounds(rounds) {
+  return {
+    seen: new Set(rounds.seen),
+    passed: new Set(rounds.passed),
+    skipped: new Map(rounds.skipped),
+    lastVisit: new Map(rounds.lastVisit),
+    last: rounds.last,
+  };
+}
+
+// Picks and records the next visit. Pinned projects, then open questions, go
+// first once per round (never twice in a row); everyone else by score.
+function pickNextProject(queue, rounds = createVisitRounds(), now = Date.now()) {
+  const idle = queue.filter((p) => p.state === "idle");
+  if (!idle.length) return null;
+  let open = idle.filter((p) => !rounds.skipped.has(p));
+  if (!open.length) open = idle;
+  if (open.every((p) => rounds.seen.has(p))) {
+    rounds.seen.clear();
+    rounds.passed.clear();
+  }
+  const ahead = (p) => !rounds.passed.has(p) && p !== rounds.last;
+  let pick = open.find((p) => p.pinned && ahead(p)) || open.find((p) => isAwaitingAnswer(p) && ahead(p));
+  if (pick) {
+    rounds.passed.add(pick);
+  } else {
+    let bestScore = -1;
+    for (const p of open) {
+      const score = scoreProject(p, now - (rounds.lastVisit.get(p) || 0));
+      if (score > bestScore) {
+        pick = p;
+        bestScore = score;
+      }
+    }
+  }
+  for (const [p, n] of rounds.skipped) {
+    if (p === pick) rounds.skipped.delete(p);
+    else if (n > 1) rounds.skipped.set(p, n - 1);
+    else rounds.skipped.delete(p);
+  }
+  rounds.seen.add(pick);
+  rounds.lastVisit.set(pick, now);
+  rounds.last = pick;
+  return pick;
+}
+
+function computeVisitOrder(queue, count, rounds = createVisitRounds(), now = Date.now()) {
+  const sim = queue.filter((p) => p.state === "idle");
+  const state = cloneVisitRounds(rounds);
+  const out = [];
+  let at = now;
+  while (out.length < count && sim.length) {
+    at += ORDER_VISIT_STEP_MS;
+    const p = pickNextProject(sim, state, at);
+    out.push(p);
+    rotateQueue(sim, p);
+  }
+  return out;
+}
+
+// Keeps the project out of the next `rounds` visits (as many as there are
+// other idle projects) and moves it behind them in the queue.
+function skipProjectRounds(queue, project, rounds = 1, visits = null) {
   const n = Number.isSafeInteger(rounds) && rounds > 0 ? rounds : 1;
   const i = queue.indexOf(project);
   if (i < 0) return 0;
@@ -1797,6 +3857,7 @@ function skipProjectRounds(queue, project, rounds = 1) {
   const anchor = idle[steps - 1];
   const j = queue.indexOf(anchor);
   queue.splice(j + 1, 0, project);
+  if (visits) visits.skipped.set(project, steps);
   return steps;
 }
 
@@ -1852,7 +3913,12 @@ const REPL_COMMANDS = {
   quit: async function quit() { return "quit"; },
   status: async function status(ctx) { displayStatus(ctx.projects, true); return "stay"; },
   loops: async function loops(ctx) { displayLoops(ctx.projects); return "stay"; },
-  usage: async function usage(ctx) { displayUsage(ctx.projects, ctx.totalCost); return "stay"; },
+  usage: async function usage(ctx) {
+    const budget = ctx.project.globalConfig.budget;
+    const dailySpent = budget.daily > 0 ? loadDailySpend().cost : 0;
+    displayUsage(ctx.projects, ctx.runtime.totalCost, { ...budget, dailySpent });
+    return "stay";
+  },
   activity: async function activity(ctx) {
     const raw = ctx.arg.trim();
     const n = raw ? Number(raw) : 30;
@@ -1869,6 +3935,11 @@ const REPL_COMMANDS = {
       rmLog("-> usage: /meta <goal>");
       return "stay";
     }
+    const blocked = getGlobalBudgetBlock(ctx.project.globalConfig, ctx.runtime);
+    if (blocked) {
+      rmLog(`-> budget: ${blocked}`);
+      return "stay";
+    }
     if (ctx.runtime.metaRunning) {
       rmLog("-> meta agent already running");
       return "stay";
@@ -1897,6 +3968,11 @@ const REPL_COMMANDS = {
       await ctx.runtime.metaPromise;
       return "stay";
     }
+    const blocked = getGlobalBudgetBlock(ctx.project.globalConfig, ctx.runtime);
+    if (blocked) {
+      rmLog(`-> budget: ${blocked}`);
+      return "stay";
+    }
     rmLog("-> starting meta agent (wait)...");
     ctx.runtime.metaRunning = true;
     const p = runMetaAgent(goal, ctx).finally(() => {
@@ -2026,10 +4102,11 @@ const REPL_COMMANDS = {
       return "stay";
     }
     const input = extra ? `${body}\n\nAdditional instruction: ${extra}` : body;
+    if (refuseOverBudget(ctx.project, ctx.runtime)) return "stay";
     flushBufferedProgress(ctx.project);
     ctx.project.holdStream = false;
     rmLog(`-> starting agent for ${ctx.project.name} with macro "${name}"...`);
-    spawnAgent(ctx.project, input, ctx.onAgentDone, ctx.runtime.model);
+    startAgentTurn(ctx.project, input, ctx.runtime, ctx.onAgentDone, { macro: name });
     const i = ctx.queue.indexOf(ctx.project);
     if (i >= 0) ctx.queue.splice(i, 1);
     return "next";
@@ -2041,50 +4118,300 @@ const REPL_COMMANDS = {
       rmLog("-> usage: /skip [rounds>=1]");
       return "stay";
     }
-    const moved = skipProjectRounds(ctx.queue, ctx.project, rounds);
-    if (!moved) {
-      rmLog("-> no other idle projects to skip");
+    const moved = skipProjectRounds(ctx.queue, ctx.project, rounds, ctx.runtime.visits);
+    if (!moved) {
+      rmLog("-> no other idle projects to skip");
+      return "stay";
+    }
+    rmLog(`-> skipped ${ctx.project.name} for ${moved} round${moved === 1 ? "" : "s"}`);
+    return "shifted";
+  },
+  snooze: async function snooze(ctx) {
+    const ms = parseDurationMs(ctx.arg);
+    if (!ms) {
+      rmLog("-> usage: /snooze <n>[s|m|h|d] (default unit: minutes)");
+      return "stay";
+    }
+    snoozeProject(ctx.project, ctx.queue, ms);
+    rmLog(`-> snoozed ${ctx.project.name} for ${formatMsShort(ms)}`);
+    return "next";
+  },
+  fresh: async function fresh(ctx) {
+    stopLoop(ctx.project, ctx.queue, "session reset");
+    resetSession(ctx.project);
+    ctx.project.agentStatus = null;
+    rmLog(`-> reset session for ${ctx.project.name} (new sessionId, history cleared)`);
+    return "stay";
+  },
+  view: async function view(ctx) { displayLastResult(ctx.project); return "stay"; },
+  log: async function log(ctx) { displayLog(ctx.project); return "stay"; },
+  revert: async function revert(ctx) {
+    const out = revertTurns(ctx.project, ctx.arg);
+    if (out.usage) rmLog("-> usage: /revert [n>=1|#turn]");
+    else if (out.error) rmLog(`-> revert failed: ${out.error}`);
+    else {
+      const what = `${out.reverted} turn${out.reverted === 1 ? "" : "s"}`;
+      rmLog(`-> reverted ${what} of ${ctx.project.name}, back to before turn #${out.turn}${out.changed ? "" : " (no file changes)"}`);
+    }
+    return "stay";
+  },
+  loop: async function loop(ctx) {
+    const loop = parseLoopCommand(ctx.actionRaw);
+    if (!loop) {
+      rmLog("-> usage: /loop <n> <goal>");
+      return "stay";
+    }
+    if (refuseOverBudget(ctx.project, ctx.runtime)) return "stay";
+    ctx.project.loop = { max: loop.max, goal: loop.goal, done: 0 };
+    flushBufferedProgress(ctx.project);
+    ctx.project.holdStream = false;
+    rmLog(`-> starting loop ${ctx.project.name}: 1/${loop.max} "${loop.goal}"`);
+    startAgentTurn(ctx.project, loop.goal, ctx.runtime, ctx.onAgentDone);
+    const i = ctx.queue.indexOf(ctx.project);
+    if (i >= 0) ctx.queue.splice(i, 1);
+    return "next";
+  },
+  diff: async function diff(ctx) {
+    const { project } = ctx;
+    const raw = ctx.arg.trim().toLowerCase();
+    if (raw === "branch") {
+      if (!hasProjectWorktree(project)) {
+        rmLog(`-> no worktree for ${project.name}`);
+        return "stay";
+      }
+      const out = diffProjectWorktree(project);
+      if (out.error) {
+        rmLog(`-> diff failed: ${out.error}`);
+        return "stay";
+      }
+      if (!out.stat) {
+        rmLog(`-> no changes on ${worktreeBranchName(project)}`);
+        return "stay";
+      }
+      rmLog(`${worktreeBranchName(project)} vs ${project.branch}:`);
+      rmLog(out.stat);
+      process.stdout.write(out.patch.endsWith("\n") ? out.patch : `${out.patch}\n`);
+      return "stay";
+    }
+    const n = raw ? Number(raw) : 1;
+    if (!Number.isSafeInteger(n) || n < 1) {
+      rmLog("-> usage: /diff [n>=1|branch]");
+      return "stay";
+    }
+    const out = diffRecentTurns(project, n);
+    if (out.error) {
+      rmLog(`-> diff: ${out.error}`);
+      return "stay";
+    }
+    if (!out.stat) {
+      rmLog(`-> no changes in the last ${out.turns} turn${out.turns === 1 ? "" : "s"}`);
+      return "stay";
+    }
+    rmLog(`diff: last ${out.turns} turn${out.turns === 1 ? "" : "s"} of ${project.name}`);
+    rmLog(out.stat);
+    process.stdout.write(out.patch.endsWith("\n") ? out.patch : `${out.patch}\n`);
+    return "stay";
+  },
+  review: async function review(ctx) {
+    const { project } = ctx;
+    const raw = ctx.arg.trim();
+    const n = raw ? Number(raw) : 1;
+    if (!Number.isSafeInteger(n) || n < 1) {
+      rmLog("-> usage: /review [n>=1]");
+      return "stay";
+    }
+    const backend = project.backend || resolveAgentBackend(project.config.backend, project.globalConfig);
+    if (backend && !backend.adapter.readOnlyMode) {
+      rmLog(`-> review needs a read-only mode, which the ${backend.name} backend (${backend.type}) does not have`);
+      return "stay";
+    }
+    const out = diffRecentTurns(project, n);
+    if (out.error) {
+      rmLog(`-> review: ${out.error}`);
+      return "stay";
+    }
+    if (!out.stat) {
+      rmLog(`-> nothing to review in the last ${out.turns} turn${out.turns === 1 ? "" : "s"}`);
+      return "stay";
+    }
+    if (refuseOverBudget(project, ctx.runtime)) return "stay";
+    flushBufferedProgress(project);
+    project.holdStream = false;
+    rmLog(`-> starting review for ${project.name} (${out.turns} turn${out.turns === 1 ? "" : "s"})...`);
+    const label = `last ${out.turns} turn${out.turns === 1 ? "" : "s"}`;
+    startAgentTurn(project, buildReviewInput(out.patch, out.turns), ctx.runtime, ctx.onAgentDone, { review: label });
+    const i = ctx.queue.indexOf(project);
+    if (i >= 0) ctx.queue.splice(i, 1);
+    return "next";
+  },
+  merge: async function merge(ctx) {
+    const { project } = ctx;
+    if (!hasProjectWorktree(project)) {
+      rmLog(`-> no worktree for ${project.name}`);
+      return "stay";
+    }
+    const err = mergeProjectWorktree(project);
+    if (err) rmLog(`-> merge failed: ${err}`);
+    else rmLog(`-> merged ${worktreeBranchName(project)} into ${project.branch} and removed the worktree`);
+    return "stay";
+  },
+  discard: async function discard(ctx) {
+    const { project } = ctx;
+    if (!hasProjectWorktree(project)) {
+      rmLog(`-> no worktree for ${project.name}`);
+      return "stay";
+    }
+    const err = removeProjectWorktree(project);
+    if (err) rmLog(`-> discard failed: ${err}`);
+    else rmLog(`-> discarded ${worktreeBranchName(project)} and its worktree`);
+    return "stay";
+  },
+  schedule: async function schedule(ctx) { displaySchedules(ctx.projects); return "stay"; },
+  webhooks: async function webhooks(ctx) {
+    const sub = ctx.arg.trim().toLowerCase();
+    const globalConfig = ctx.project.globalConfig;
+    if (!sub) {
+      displayWebhooks(globalConfig, ctx.projects);
+      return "stay";
+    }
+    if (sub !== "retry") {
+      rmLog("-> usage: /webhooks [retry]");
+      return "stay";
+    }
+    const pending = loadWebhookOutbox().length;
+    if (!pending) {
+      rmLog("-> webhook outbox is empty");
+      return "stay";
+    }
+    rmLog(`-> retrying ${pending} webhook deliver${pending === 1 ? "y" : "ies"}...`);
+    const hooks = [...globalConfig.webhooks, ...ctx.projects.flatMap((p) => p.config.webhooks)];
+    const out = await retryWebhookOutbox(hooks);
+    const dropped = out.dropped ? `, ${out.dropped} dropped (webhook no longer configured)` : "";
+    rmLog(`-> webhooks: ${out.sent} delivered, ${out.failed} still in the outbox${dropped}`);
+    return "stay";
+  },
+  pin: async function pin(ctx) {
+    ctx.project.pinned = !ctx.project.pinned;
+    rmLog(`-> ${ctx.project.pinned ? "pinned" : "unpinned"} ${ctx.project.name}`);
+    return "stay";
+  },
+  priority: async function priority(ctx) {
+    const raw = ctx.arg.trim();
+    if (!raw) {
+      rmLog(`-> priority for ${ctx.project.name}: ${ctx.project.config.priority}`);
+      return "stay";
+    }
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n <= 0) {
+      rmLog("-> usage: /priority <n> (positive number, default 1)");
+      return "stay";
+    }
+    ctx.project.config.priority = n;
+    saveConfig(ctx.project.configPath, ctx.project.config);
+    rmLog(`-> priority for ${ctx.project.name} set to ${n}`);
+    return "stay";
+  },
+  order: async function order(ctx) {
+    const raw = ctx.arg.trim();
+    const n = raw ? Number(raw) : 10;
+    if (!Number.isSafeInteger(n) || n < 1) {
+      rmLog("-> usage: /order [n>=1]");
+      return "stay";
+    }
+    // the project being visited comes first, then the simulated picks
+    const current = ctx.project.state === "idle" && ctx.queue.includes(ctx.project) ? [ctx.project] : [];
+    const list = [...current, ...computeVisitOrder(ctx.queue, n - current.length, ctx.runtime.visits)];
+    if (!list.length) {
+      rmLog("(no idle projects)");
+      return "stay";
+    }
+    rmLog("upcoming visits:");
+    list.forEach((p, i) => {
+      const tags = [];
+      if (p.pinned) tags.push("pinned");
+      if (isAwaitingAnswer(p)) tags.push("awaiting-answer");
+      if (p.config.priority !== 1) tags.push(`priority ${p.config.priority}`);
+      if (lastTurnErrored(p)) tags.push("last turn errored");
+      rmLog(`${String(i + 1).padStart(3)}. ${formatRepoTag(p)}${tags.length ? ` (${tags.join(", ")})` : ""}`);
+    });
+    return "stay";
+  },
+  todo: async function todo(ctx) {
+    const raw = ctx.arg.trim();
+    const { project } = ctx;
+    const i = raw.indexOf(" ");
+    const sub = (i < 0 ? raw : raw.slice(0, i)).toLowerCase();
+    const rest = i < 0 ? "" : raw.slice(i + 1).trim();
+    reloadTaskLists(project);
+    const { config } = project;
+    const save = () => saveConfig(project.configPath, config);
+
+    if (!raw || sub === "list" || sub === "ls") {
+      displayTaskLists(config);
+      return "stay";
+    }
+
+    if (sub === "add") {
+      if (!rest) {
+        rmLog("-> usage: /todo add <text>");
+        return "stay";
+      }
+      config.todos.push(rest);
+      save();
+      rmLog(`-> added todo ${config.todos.length}: ${rest}`);
+      return "stay";
+    }
+
+    const moves = {
+      start: { from: "todos", to: "doing", verb: "started" },
+      done: { from: "doing", to: "done", verb: "finished" },
+      rm: { from: "todos", to: "", verb: "removed" },
+    };
+    const move = moves[sub === "del" || sub === "delete" ? "rm" : sub];
+    if (!move) {
+      rmLog("-> usage: /todo [list|add <text>|start <n>|done <n>|rm <n>]");
+      return "stay";
+    }
+    const index = parseTaskIndex(rest, config[move.from]);
+    if (index < 0) {
+      const n = config[move.from].length;
+      rmLog(`-> usage: /todo ${sub} <n> (${move.from} has ${n} item${n === 1 ? "" : "s"})`);
       return "stay";
     }
-    rmLog(`-> skipped ${ctx.project.name} for ${moved} round${moved === 1 ? "" : "s"}`);
-    return "shifted";
+    const item = moveTask(config, move.from, move.to, index);
+    save();
+    rmLog(`-> ${move.verb}: ${item}`);
+    return "stay";
   },
-  snooze: async function snooze(ctx) {
-    const ms = parseDurationMs(ctx.arg);
-    if (!ms) {
-      rmLog("-> usage: /snooze <n>[s|m|h|d] (default unit: minutes)");
+  autopilot: async function autopilot(ctx) {
+    const raw = ctx.arg.trim().toLowerCase();
+    const { project } = ctx;
+    if (raw === "off" || raw === "stop") {
+      if (!stopLoop(project, ctx.queue, "requested")) rmLog(`-> no active autopilot for ${project.name}`);
       return "stay";
     }
-    snoozeProject(ctx.project, ctx.queue, ms);
-    rmLog(`-> snoozed ${ctx.project.name} for ${formatMsShort(ms)}`);
-    return "next";
-  },
-  fresh: async function fresh(ctx) {
-    stopLoop(ctx.project, ctx.queue, "session reset");
-    resetSession(ctx.project);
-    rmLog(`-> reset session for ${ctx.project.name} (new sessionId, history cleared)`);
-    return "stay";
-  },
-  view: async function view(ctx) { displayLastResult(ctx.project); return "stay"; },
-  log: async function log(ctx) { displayLog(ctx.project); return "stay"; },
-  revert: async function revert(ctx) {
-    const err = revertLastTurn(ctx.project);
-    if (err) rmLog(`-> revert failed: ${err}`);
-    else rmLog(`-> reverted last turn for ${ctx.project.name}`);
-    return "stay";
-  },
-  loop: async function loop(ctx) {
-    const loop = parseLoopCommand(ctx.actionRaw);
-    if (!loop) {
-      rmLog("-> usage: /loop <n> <goal>");
+    if (!project.config.autopilot) {
+      rmLog(`-> autopilot is not enabled for ${project.name} (set "autopilot": true in its marker)`);
       return "stay";
     }
-    ctx.project.loop = { max: loop.max, goal: loop.goal, done: 0 };
-    flushBufferedProgress(ctx.project);
-    ctx.project.holdStream = false;
-    rmLog(`-> starting loop ${ctx.project.name}: 1/${loop.max} "${loop.goal}"`);
-    spawnAgent(ctx.project, loop.goal, ctx.onAgentDone, ctx.runtime.model);
-    const i = ctx.queue.indexOf(ctx.project);
+    reloadTaskLists(project);
+    const pending = project.config.todos.length;
+    const max = raw ? Number(raw) : pending;
+    if (!Number.isSafeInteger(max) || max < 1) {
+      rmLog(pending ? "-> usage: /autopilot [n>=1|off]" : `-> no todos for ${project.name}`);
+      return "stay";
+    }
+    if (!pending) {
+      rmLog(`-> no todos for ${project.name}`);
+      return "stay";
+    }
+    if (refuseOverBudget(project, ctx.runtime)) return "stay";
+    project.loop = { max, goal: "", done: 0, autopilot: true };
+    flushBufferedProgress(project);
+    project.holdStream = false;
+    rmLog(`-> starting autopilot ${project.name}: 1/${max} "${project.config.todos[0]}"`);
+    startAutopilotTurn(project, ctx.runtime, ctx.onAgentDone);
+    const i = ctx.queue.indexOf(project);
     if (i >= 0) ctx.queue.splice(i, 1);
     return "next";
   },
@@ -2094,10 +4421,12 @@ const REPL_COMMANDS = {
       rmLog("-> no input, skipping");
       return "stay";
     }
+    if (refuseOverBudget(ctx.project, ctx.runtime)) return "stay";
     flushBufferedProgress(ctx.project);
     ctx.project.holdStream = false;
-    rmLog(`-> starting agent for ${ctx.project.name}...`);
-    spawnAgent(ctx.project, input, ctx.onAgentDone, ctx.runtime.model);
+    const turn = resolveWorkTurn(ctx.project, input);
+    rmLog(`-> ${turn.answer ? "answering" : "starting agent for"} ${ctx.project.name}...`);
+    startAgentTurn(ctx.project, turn.input, ctx.runtime, ctx.onAgentDone, turn.opts);
     const i = ctx.queue.indexOf(ctx.project);
     if (i >= 0) ctx.queue.splice(i, 1);
     return "next";
@@ -2108,10 +4437,12 @@ const REPL_COMMANDS = {
       rmLog("-> no input, skipping");
       return "stay";
     }
+    if (refuseOverBudget(ctx.project, ctx.runtime)) return "stay";
     flushBufferedProgress(ctx.project);
     ctx.project.holdStream = false;
-    rmLog(`-> starting agent for ${ctx.project.name} (wait)...`);
-    spawnAgent(ctx.project, input, ctx.onAgentDone, ctx.runtime.model);
+    const turn = resolveWorkTurn(ctx.project, input);
+    rmLog(`-> ${turn.answer ? "answering" : "starting agent for"} ${ctx.project.name} (wait)...`);
+    startAgentTurn(ctx.project, turn.input, ctx.runtime, ctx.onAgentDone, turn.opts);
     const i = ctx.queue.indexOf(ctx.project);
     if (i >= 0) ctx.queue.splice(i, 1);
     await addProjectWaiter(ctx.runtime, ctx.project);
@@ -2124,7 +4455,11 @@ const REPL_COMMANDS = {
       rmLog("-> no input, skipping");
       return "stay";
     }
-    const targets = collectBroadcastTargets(ctx.projects);
+    const targets = collectBroadcastTargets(ctx.projects).filter((p) => {
+      const blocked = getBudgetBlock(p, ctx.runtime);
+      if (blocked) rmLog(`-> budget: skipping ${p.name}: ${blocked}`);
+      return !blocked;
+    });
     if (!targets.length) {
       rmLog("-> no idle projects to broadcast to");
       return "stay";
@@ -2134,7 +4469,7 @@ const REPL_COMMANDS = {
       flushBufferedProgress(p);
       p.holdStream = false;
       rmLog(`-> starting agent for ${p.name}...`);
-      spawnAgent(p, input, ctx.onAgentDone, ctx.runtime.model);
+      startAgentTurn(p, input, ctx.runtime, ctx.onAgentDone);
       const i = ctx.queue.indexOf(p);
       if (i >= 0) ctx.queue.splice(i, 1);
     }
@@ -2146,6 +4481,14 @@ const REPL_COMMANDS = {
       return "stay";
     }
     const cmd = typeof ctx.project.config.watch === "string" ? ctx.project.config.watch.trim() : "";
+    if (!cmd && ctx.project.fileWatchers.length) {
+      // no command to run: park the project until onFilesChanged wakes it
+      setProjectState(ctx.project, "watching");
+      rmLog(`-> waiting for file changes in ${ctx.project.name}...`);
+      const i = ctx.queue.indexOf(ctx.project);
+      if (i >= 0) ctx.queue.splice(i, 1);
+      return "next";
+    }
     if (!cmd) {
       rmLog(`-> no watch defined for ${ctx.project.name}`);
       return "stay";
@@ -2178,19 +4521,361 @@ function showHelp() {
     "roundsman add [dir]",
     "roundsman init [dir]",
     "roundsman list [path]",
+    "roundsman usage [--since 7d|YYYY-MM-DD] [--json]",
+    "roundsman status [--json]",
+    "roundsman tail [project] [--json]",
+    "roundsman send <project> <prompt> [--macro <name>] [--json]",
     "roundsman [path] --dry-run",
     "roundsman [path] --json",
+    "roundsman [path] --resume",
     "roundsman --help | -h",
     `Scans path (default: your home directory) for directories containing one of: ${ROUNDSMAN_FILES.join(", ")}.`,
     `Global config path: ${globalPath}`,
-    "commands: add/init/list",
-    "flags: --dry-run --json --no-color",
-    "repl: /work /workwait /watch /broadcast /meta /metawait /macro /skip /drop /snooze /fresh /view /log /activity /loop /stop /kill /loops /usage /model /clear /revert /status /help /quit",
+    `Runtime state path: ${resolveRuntimeStatePath()}`,
+    `Cost ledger path: ${resolveLedgerPath()}`,
+    "commands: add/init/list/usage/status/tail/send",
+    "flags: --dry-run --json --no-color --resume --since --macro",
+    "repl: /work /workwait /watch /broadcast /meta /metawait /macro /skip /drop /snooze /fresh /view /log /activity /todo /autopilot /diff /review /merge /discard /schedule /webhooks /pin /priority /order /loop /stop /kill /loops /usage /model /clear /revert /status /help /quit",
     "Aliases: s=>drop, m=>macro, w/ww/work:wait/mw/meta:wait/f/v/l/a/r/q, cost=>usage, clear=>fresh.",
   ];
   console.log(lines.join("\n"));
 }
 
+// ── Control API ────────────────────────────────────────────
+
+function summarizeProjectForApi(project, queue) {
+  const { config } = project;
+  const last = config.session.history[config.session.history.length - 1];
+  return {
+    name: project.name,
+    dir: project.dir,
+    repo: formatRepoTag(project),
+    state: project.state === "idle" && isAwaitingAnswer(project) ? "awaiting-answer" : project.state,
+    queuePosition: queue.indexOf(project),
+    turn: config.session.turn,
+    loop: project.loop ? { ...project.loop } : null,
+    pinned: project.pinned === true,
+    priority: config.priority,
+    agentStatus: project.agentStatus,
+    spent: project.spent || 0,
+    snoozeUntil: project.state === "snoozed" && project.snoozeUntil ? new Date(project.snoozeUntil).toISOString() : "",
+    lastResult: last ? previewText(last.result) : "",
+  };
+}
+
+function buildApiStatus(projects, queue, runtime) {
+  return {
+    pid: process.pid,
+    totalCost: runtime.totalCost,
+    queue: queue.map((p) => p.name),
+    projects: projects.map((p) => summarizeProjectForApi(p, queue)),
+  };
+}
+
+// Turns a `roundsman send` body into a turn input, the same way /work and
+// /macro run would.
+function buildSendInput(config, prompt, macroName) {
+  const text = typeof prompt === "string" ? prompt.trim() : "";
+  const name = typeof macroName === "string" ? macroName.trim() : "";
+  if (!name) return text ? { input: text, label: `"${previewText(text, 60)}"`, macro: "" } : { error: "send needs a prompt or a macro" };
+  const body = config.macros[name];
+  if (!body) return { error: `macro not found: "${name}"` };
+  return {
+    input: text ? `${body}\n\nAdditional instruction: ${text}` : body,
+    label: `macro "${name}"${text ? ` + "${previewText(text, 40)}"` : ""}`,
+    macro: name,
+  };
+}
+
+// The /status, /loops and /usage views as text lines, for `roundsman status`.
+function buildStatusReport(projects, totalCost, budget) {
+  const dailySpent = budget.daily > 0 ? loadDailySpend().cost : 0;
+  return captureOutput(() => {
+    displayStatus(projects, true);
+    displayLoops(projects);
+    displayUsage(projects, totalCost, { ...budget, dailySpent });
+  });
+}
+
+// `project` and `type` are comma-separated; project entries are selectors.
+function buildEventFilter(projects, params) {
+  const split = (v) => String(v || "").split(",").map((x) => x.trim()).filter(Boolean);
+  let names = null;
+  const sels = split(params.get("project"));
+  if (sels.length) {
+    names = new Set();
+    for (const sel of sels) {
+      const found = findProjectBySelector(projects, sel);
+      if (found.kind === "none") return { error: `no project matched "${sel}"` };
+      for (const p of found.matches) names.add(p.name);
+    }
+  }
+  const types = split(params.get("type"));
+  const unknown = types.find((t) => !EVENT_TYPES.includes(t));
+  if (unknown) return { error: `unknown event type "${unknown}" (known: ${EVENT_TYPES.join(", ")})` };
+  return {
+    match: (evt) => (!names || names.has(evt.project)) && (!types.length || types.includes(evt.type)),
+  };
+}
+
+// Streams bus events as server-sent events, or one JSON object per line with
+// ?format=ndjson. ?backlog=n first replays the last n matching activity lines.
+function streamEvents(req, res, url, projects) {
+  const filter = buildEventFilter(projects, url.searchParams);
+  if (filter.error) return sendJson(res, 400, { error: filter.error });
+  const ndjson = url.searchParams.get("format") === "ndjson";
+  res.writeHead(200, {
+    "content-type": ndjson ? "application/x-ndjson" : "text/event-stream",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+  });
+  const send = (evt) => res.write(ndjson ? `${JSON.stringify(evt)}\n` : `event: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`);
+  const backlog = Number(url.searchParams.get("backlog"));
+  if (Number.isSafeInteger(backlog) && backlog > 0) {
+    projects
+      .flatMap((p) => (p.activity || []).map((a) => ({ type: "activity", at: a.at, project: p.name, msg: a.msg })))
+      .filter(filter.match)
+      .sort((a, b) => a.at.localeCompare(b.at))
+      .slice(-backlog)
+      .forEach(send);
+  }
+  const unsubscribe = subscribeEvents((evt) => {
+    if (filter.match(evt)) send(evt);
+  });
+  const ping = setInterval(() => res.write(ndjson ? "\n" : ": ping\n\n"), EVENT_PING_MS);
+  req.on("close", () => {
+    unsubscribe();
+    clearInterval(ping);
+  });
+}
+
+function sendJson(res, code, body) {
+  const data = `${JSON.stringify(body)}\n`;
+  res.writeHead(code, { "content-type": "application/json; charset=utf-8", "content-length": Buffer.byteLength(data) });
+  res.end(data);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve) => {
+    let raw = "";
+    req.setEncoding("utf-8");
+    req.on("data", (chunk) => {
+      raw += chunk;
+      if (raw.length > MAX_API_BODY) {
+        resolve({ error: "request body too large" });
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (!raw.trim()) return resolve({ body: {} });
+      try {
+        const body = JSON.parse(raw);
+        resolve(body && typeof body === "object" && !Array.isArray(body) ? { body } : { error: "body must be a JSON object" });
+      } catch (err) {
+        resolve({ error: `invalid JSON: ${formatJsonError(raw, err)}` });
+      }
+    });
+  });
+}
+
+function isApiAuthorized(req, token) {
+  const header = String(req.headers.authorization || "");
+  const given = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  const a = Buffer.from(given);
+  const b = Buffer.from(token);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Serves the JSON control API on localhost. `api.run(project, cmd, arg)` runs
+// a REPL command and resolves { result, output }; `api.send(project, work)`
+// takes work from `roundsman send` and returns { started, waiting }.
+function startControlServer(api) {
+  const { projects, queue, runtime, token, budget } = api;
+  const findOne = (res, raw) => {
+    const sel = decodeURIComponent(raw);
+    const found = findProjectBySelector(projects, sel);
+    if (found.kind === "one") return found.matches[0];
+    if (found.kind === "many") sendJson(res, 409, { error: `ambiguous project "${sel}"`, matches: found.matches.map((p) => p.name) });
+    else sendJson(res, 404, { error: `no project matched "${sel}"` });
+    return null;
+  };
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    if (!isApiAuthorized(req, token)) return sendJson(res, 401, { error: "missing or wrong token" });
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    if (req.method === "GET") {
+      if (parts.length === 1 && parts[0] === "status") return sendJson(res, 200, buildApiStatus(projects, queue, runtime));
+      if (parts.length === 1 && parts[0] === "report") return sendJson(res, 200, { lines: buildStatusReport(projects, runtime.totalCost, budget) });
+      if (parts.length === 1 && parts[0] === "events") return streamEvents(req, res, url, projects);
+      if (parts.length === 1 && parts[0] === "projects") return sendJson(res, 200, projects.map((p) => summarizeProjectForApi(p, queue)));
+      if (parts[0] === "projects" && parts.length === 2) {
+        const p = findOne(res, parts[1]);
+        if (!p) return;
+        const { todos, doing, done, macros } = p.config;
+        return sendJson(res, 200, { ...summarizeProjectForApi(p, queue), todos, doing, done, macros: Object.keys(macros) });
+      }
+      if (parts[0] === "projects" && parts.length === 3 && (parts[2] === "activity" || parts[2] === "history")) {
+        const p = findOne(res, parts[1]);
+        if (!p) return;
+        const limit = Number(url.searchParams.get("limit"));
+        const list = parts[2] === "activity" ? p.activity : p.config.session.history;
+        return sendJson(res, 200, Number.isSafeInteger(limit) && limit > 0 ? list.slice(-limit) : list);
+      }
+      return sendJson(res, 404, { error: "not found" });
+    }
+
+    if (req.method === "POST" && parts[0] === "projects" && parts.length === 3 && parts[2] === "send") {
+      const p = findOne(res, parts[1]);
+      if (!p) return;
+      const body = await readJsonBody(req);
+      if (body.error) return sendJson(res, 400, { error: body.error });
+      const work = buildSendInput(p.config, body.body.prompt, body.body.macro);
+      if (work.error) return sendJson(res, 400, { error: work.error });
+      if (p.state === "dropped") return sendJson(res, 409, { error: `${p.name} is dropped` });
+      const blocked = getBudgetBlock(p, runtime);
+      if (blocked) return sendJson(res, 409, { error: blocked });
+      const out = api.send(p, work);
+      return sendJson(res, 200, { ...out, project: summarizeProjectForApi(p, queue) });
+    }
+
+    if (req.method === "POST" && parts[0] === "projects" && parts.length === 3) {
+      const cmd = parts[2];
+      if (!API_COMMANDS.has(cmd)) return sendJson(res, 404, { error: `unsupported command "${cmd}"`, commands: [...API_COMMANDS] });
+      const p = findOne(res, parts[1]);
+      if (!p) return;
+      const body = await readJsonBody(req);
+      if (body.error) return sendJson(res, 400, { error: body.error });
+      const arg = typeof body.body.arg === "string" ? body.body.arg.trim() : "";
+      if (arg && API_NO_ARG.has(cmd)) return sendJson(res, 400, { error: `${cmd} acts on the project in the URL and takes no arg` });
+      if (cmd === "work" && !arg) return sendJson(res, 400, { error: "work needs an arg (the prompt)" });
+      if (API_STARTS_TURN.has(cmd) && p.state !== "idle") return sendJson(res, 409, { error: `${p.name} is ${p.state}` });
+      const out = await api.run(p, cmd, arg);
+      return sendJson(res, 200, { ...out, project: summarizeProjectForApi(p, queue) });
+    }
+
+    return sendJson(res, 405, { error: "method not allowed" });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!res.headersSent) sendJson(res, 500, { error: err && err.message ? err.message : String(err) });
+    });
+  });
+}
+
+// ── Client Commands ────────────────────────────────────────
+
+// Finds the running instance from the api.json it wrote at startup.
+function loadApiInfo() {
+  const file = resolveApiInfoPath();
+  let info;
+  try {
+    info = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return { error: `no running roundsman found (${file} is missing; set "api": { "enabled": true } in the global config)` };
+  }
+  if (!info || !Number.isSafeInteger(info.port) || typeof info.token !== "string") return { error: `invalid ${file}` };
+  try {
+    process.kill(info.pid, 0);
+  } catch (err) {
+    if (err.code === "ESRCH") return { error: `roundsman (pid ${info.pid}) is no longer running; remove the stale ${file}` };
+  }
+  return { info };
+}
+
+async function apiRequest(info, route, options = {}) {
+  let res;
+  try {
+    res = await fetch(`http://127.0.0.1:${info.port}${route}`, {
+      ...options,
+      headers: { authorization: `Bearer ${info.token}`, "content-type": "application/json" },
+    });
+  } catch (err) {
+    throw new Error(`cannot reach roundsman (pid ${info.pid}) on port ${info.port}: ${err.cause ? err.cause.message : err.message}`);
+  }
+  if (res.ok) return res;
+  let msg = `HTTP ${res.status}`;
+  const body = parseJsonObject(await res.text());
+  if (body && body.error) msg = Array.isArray(body.matches) ? `${body.error}: ${body.matches.join(", ")}` : body.error;
+  throw new Error(msg);
+}
+
+function formatEventLine(evt) {
+  const t = String(evt.at || "").slice(11, 19);
+  let msg;
+  if (evt.type === "activity") msg = evt.msg;
+  else if (evt.type === "state") msg = `[state] ${evt.from} -> ${evt.to}`;
+  else if (evt.type === "done") msg = `[done] $${Number(evt.cost || 0).toFixed(4)}${evt.stopped ? " (stopped)" : ""} ${evt.result || ""}`.trim();
+  else if (evt.type === "loop") msg = `[${evt.autopilot ? "autopilot" : "loop"}] ${evt.done}/${evt.max} ${evt.outcome}${evt.reason ? ` (${evt.reason})` : ""}`;
+  else msg = JSON.stringify(evt);
+  return `${t} ${evt.project} ${msg}`;
+}
+
+async function runStatusClient(cli) {
+  const found = loadApiInfo();
+  if (found.error) throw new Error(found.error);
+  if (cli.json) {
+    const res = await apiRequest(found.info, "/status");
+    console.log(JSON.stringify(await res.json(), null, 2));
+    return;
+  }
+  const res = await apiRequest(found.info, "/report");
+  const { lines } = await res.json();
+  for (const line of lines) rmLog(line);
+}
+
+async function runSendClient(cli) {
+  if (!cli.pathArg || (!cli.text && !cli.macro)) throw new Error("usage: roundsman send <project> <prompt> [--macro <name>]");
+  const found = loadApiInfo();
+  if (found.error) throw new Error(found.error);
+  const res = await apiRequest(found.info, `/projects/${encodeURIComponent(cli.pathArg)}/send`, {
+    method: "POST",
+    body: JSON.stringify({ prompt: cli.text, macro: cli.macro }),
+  });
+  const out = await res.json();
+  if (cli.json) console.log(JSON.stringify(out, null, 2));
+  else if (out.started) rmLog(`-> started a turn for ${out.project.name}`);
+  else rmLog(`-> ${out.project.name} is ${out.project.state}; queued as its next turn (${out.waiting} waiting)`);
+}
+
+// Follows activity and state changes until the instance exits. `--json`
+// prints every event as received instead.
+async function runTailClient(cli) {
+  const found = loadApiInfo();
+  if (found.error) throw new Error(found.error);
+  const params = new URLSearchParams({ format: "ndjson", backlog: "20" });
+  if (cli.pathArg) params.set("project", cli.pathArg);
+  if (!cli.json) params.set("type", "activity,state");
+  const res = await apiRequest(found.info, `/events?${params}`);
+  const decoder = new TextDecoder();
+  let buf = "";
+  try {
+    for await (const chunk of res.body) {
+      buf += decoder.decode(chunk, { stream: true });
+      const lines = buf.split("\n");
+      buf = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        if (cli.json) console.log(line);
+        else rmLog(formatEventLine(JSON.parse(line)));
+      }
+    }
+  } catch (err) {
+    if (!isConnectionClosed(err)) throw err;
+  }
+  rmLog("roundsman exited");
+}
+
+// fetch reports a server that drops the connection (as roundsman does when it
+// exits) as "terminated", caused by a socket close or reset.
+function isConnectionClosed(err) {
+  const cause = err && err.cause;
+  const code = (cause && cause.code) || (err && err.code) || "";
+  return code === "ECONNRESET" || code === "UND_ERR_SOCKET" || Boolean(err && err.message === "terminated");
+}
+
 // ── Main Loop ──────────────────────────────────────────────
 
 async function main() {
@@ -2251,6 +4936,29 @@ async function main() {
     process.exit(0);
   }
 
+  if (cli.command === "status" || cli.command === "tail" || cli.command === "send") {
+    const client = { status: runStatusClient, tail: runTailClient, send: runSendClient }[cli.command];
+    try {
+      await client(cli);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  if (cli.command === "usage") {
+    const sinceMs = parseSinceMs(cli.since);
+    if (sinceMs === null) {
+      console.error(`Error: invalid --since value: ${cli.since} (use e.g. 7d, 12h or 2026-01-31)`);
+      process.exit(1);
+    }
+    const report = buildUsageReport(loadLedger(), sinceMs);
+    if (cli.json) console.log(JSON.stringify(report, null, 2));
+    else displayUsageReport(report);
+    process.exit(0);
+  }
+
   const global = loadGlobalConfig();
   const globalConfig = global.config;
   const roots = resolveScanRoots(cli.pathArg, globalConfig);
@@ -2284,14 +4992,59 @@ async function main() {
   }
 
   let queue = [...projects]; // round-robin order
-  let totalCost = 0;
   let wakeIdle = null;
-  const runtime = { model: globalConfig.defaultModel, metaRunning: false, metaPromise: null, metaProc: null, waiters: new Map() };
+  let visitProject = null;
+  let visitAbort = null;
+  let scheduleTimer = null;
+  let apiServer = null;
+  const runtime = {
+    model: globalConfig.defaultModel,
+    metaRunning: false,
+    metaPromise: null,
+    metaRun: null,
+    waiters: new Map(),
+    totalCost: 0,
+    // start of this run; a --resume keeps the resumed run's, so session and
+    // project spend carry over from the ledger
+    startedAt: Date.now(),
+    projects,
+    maxConcurrentAgents: globalConfig.maxConcurrentAgents,
+    pendingTurns: [],
+    visits: createVisitRounds(),
+  };
+  let resumed = null;
+  if (cli.resume) {
+    const saved = loadRuntimeState();
+    if (!saved) {
+      rmLog("resume: no saved runtime state, starting fresh");
+    } else {
+      resumed = restoreRuntimeState(projects, saved);
+      queue = resumed.queue;
+      if (resumed.model !== null) runtime.model = resumed.model;
+      if (resumed.startedAt !== null) {
+        runtime.startedAt = resumed.startedAt;
+        const ledger = loadLedger();
+        runtime.totalCost = sumLedgerSpend(ledger, { sinceMs: runtime.startedAt });
+        for (const p of projects) p.spent = sumLedgerSpend(ledger, { sinceMs: runtime.startedAt, dir: p.dir });
+      }
+      rmLog(`resume: restored state saved at ${saved.savedAt || "(unknown)"}`);
+    }
+  }
+
+  function persistRuntime() {
+    try {
+      saveRuntimeState(buildRuntimeState(projects, queue, runtime));
+    } catch (err) {
+      rmLog(`[warn] failed to save runtime state: ${err && err.message ? err.message : String(err)}`);
+    }
+  }
 
   function onAgentDone(project, result, cost, opts = { stopped: false }) {
-    totalCost += cost;
-    project.state = "idle";
-    project.proc = null;
+    runtime.totalCost += cost;
+    project.spent = (project.spent || 0) + cost;
+    if (project.loop) project.loop.spent = (project.loop.spent || 0) + cost;
+    setProjectState(project, "idle");
+    project.run = null;
 
     if (opts.stopped) {
       rmLog(`[stopped] ${formatProjectLabel(project)}`);
@@ -2302,28 +5055,141 @@ async function main() {
       const preview = formatDoneLine(result);
       agentLog(project, preview);
       pushActivity(project, `[done] $${cost.toFixed(4)} ${preview}`);
+      if (opts.verdict) rmLog(`[review] ${project.name}: ${opts.verdict}`);
+      if (project.config.isolation === "worktree" && hasProjectWorktree(project)) {
+        rmLog(`[worktree] ${project.name}: changes are on ${worktreeBranchName(project)} (/diff branch, /merge or /discard)`);
+      }
+    }
+
+    const agentStatus = opts.agentStatus || null;
+    project.agentStatus = agentStatus;
+    publishEvent("done", project, { cost, stopped: opts.stopped === true, result: previewText(result), agentStatus });
+    if (agentStatus && agentStatus.status !== "done") {
+      const msg = `[status] ${describeAgentStatus(agentStatus)}`;
+      rmLog(`${msg} (${project.name})`);
+      pushActivity(project, msg);
     }
 
-    if (!opts.stopped && project.loop) {
+    drainPendingTurns(runtime, onAgentDone);
+    if (opts.stopped) project.pendingHook = "";
+
+    // sent below once the project settles; a loop that carries on is not news
+    let notice = null;
+    if (agentStatus && agentStatus.status === "needs_input") notice = ["needs-input", describeAgentStatus(agentStatus)];
+    else if (opts.timedOut) notice = ["error", result];
+    else if (!opts.stopped && agentStatus && agentStatus.status !== "done") notice = ["error", describeAgentStatus(agentStatus)];
+    else if (!opts.stopped && result.startsWith("error:")) notice = ["error", result];
+    else if (!opts.stopped) notice = ["done", `$${cost.toFixed(4)} ${formatDoneLine(result)}`];
+
+    if (project.loop && (!opts.stopped || agentStatus || opts.timedOut)) {
+      const loop = project.loop;
+      const label = loop.autopilot ? "autopilot" : "loop";
+      const loopEvent = (outcome, reason = "") => {
+        const data = { autopilot: loop.autopilot === true, done: loop.done, max: loop.max, goal: loop.goal, outcome, reason };
+        publishEvent("loop", project, data);
+        if (outcome !== "next" && outcome !== "retry") emitWebhook(globalConfig, project, "loop.done", data);
+      };
+      let retryBlocked = "";
+      if (opts.timedOut) {
+        const { retries } = resolveTimeouts(project.config, globalConfig);
+        const retried = loop.retried || 0;
+        // a timed-out turn is booked at $0, so a retry must clear the budgets first
+        const blocked = getBudgetBlock(project, runtime) || getLoopBudgetBlock(project);
+        if (retried < retries && !blocked) {
+          loop.retried = retried + 1;
+          const why = result.replace(/^stopped: /, "");
+          const msg = `[${label} retry] ${loop.done + 1}/${loop.max} after ${why} (retry ${loop.retried}/${retries})`;
+          rmLog(`${msg} (${project.name})`);
+          pushActivity(project, msg);
+          loopEvent("retry", why);
+          startAgentTurn(project, project.turnInput, runtime, onAgentDone);
+          persistRuntime();
+          return;
+        }
+        if (retried < retries) retryBlocked = blocked;
+      }
+      loop.retried = 0;
+      const failed = result.startsWith("error:") || opts.timedOut === true;
+      const halt = agentStatus && agentStatus.status !== "done" ? describeAgentStatus(agentStatus) : "";
       project.loop.done += 1;
-      if (result.startsWith("error:")) {
-        const err = result.slice(0, 120).replace(/\n/g, " ");
-        rmLog(`[loop stop] ${project.name} at ${project.loop.done}/${project.loop.max}: ${err}`);
+      // the agent's own marker edits were reloaded after the turn; only a
+      // reported done moves an item it left in doing
+      if (project.loop.autopilot && !failed && !halt && project.config.doing.includes(project.loop.goal)) {
+        if (agentStatus && agentStatus.status === "done") {
+          finishTask(project.config, project.loop.goal);
+          saveConfig(project.configPath, project.config);
+        } else {
+          const msg = `[autopilot] "${project.loop.goal}" not reported done; left in doing`;
+          rmLog(`${msg} (${project.name})`);
+          pushActivity(project, msg);
+        }
+      }
+      const budgetStop = getBudgetBlock(project, runtime) || getLoopBudgetBlock(project);
+      if (failed || halt) {
+        let err = halt || result.slice(0, 120).replace(/\n/g, " ");
+        if (retryBlocked) err += `; not retried: ${retryBlocked}`;
+        rmLog(`[${label} stop] ${project.name} at ${project.loop.done}/${project.loop.max}: ${err}`);
+        loopEvent("stop", err);
+        project.loop = null;
+      } else if (!project.loop.autopilot && agentStatus && agentStatus.status === "done") {
+        rmLog(`[loop done] ${project.name} ${project.loop.done}/${project.loop.max}: agent reported done`);
+        loopEvent("done", "agent reported done");
+        project.loop = null;
+      } else if (budgetStop && project.loop.done < project.loop.max) {
+        const msg = `[budget] ${label} stopped at ${project.loop.done}/${project.loop.max}: ${budgetStop}`;
+        rmLog(`${msg} (${project.name})`);
+        pushActivity(project, msg);
+        loopEvent("budget", budgetStop);
+        notice = ["budget", msg];
         project.loop = null;
       } else if (project.loop.done < project.loop.max) {
         const n = project.loop.done + 1;
-        rmLog(`[loop] ${project.name} ${n}/${project.loop.max}`);
-        spawnAgent(project, project.loop.goal, onAgentDone, runtime.model);
-        return;
+        if (!project.loop.autopilot) {
+          rmLog(`[loop] ${project.name} ${n}/${project.loop.max}`);
+          loopEvent("next");
+          startAgentTurn(project, project.loop.goal, runtime, onAgentDone);
+          persistRuntime();
+          return;
+        }
+        if (startAutopilotTurn(project, runtime, onAgentDone)) {
+          rmLog(`[autopilot] ${project.name} ${n}/${project.loop.max} "${project.loop.goal}"`);
+          loopEvent("next");
+          persistRuntime();
+          return;
+        }
+        rmLog(`[autopilot done] ${project.name} ${project.loop.done}/${project.loop.max}: no todos left`);
+        loopEvent("done", "no todos left");
+        project.loop = null;
       } else {
-        rmLog(`[loop done] ${project.name} ${project.loop.done}/${project.loop.max}`);
+        rmLog(`[${label} done] ${project.name} ${project.loop.done}/${project.loop.max}`);
+        loopEvent("done");
         project.loop = null;
       }
     }
 
-    // re-add to queue if not already there
-    if (!queue.includes(project)) queue.push(project);
+    if (notice) notifyProject(project, ...notice);
+
+    if (project.pendingHook) {
+      const hookName = project.pendingHook;
+      project.pendingHook = "";
+      const hook = runProjectHook(project, hookName, runtime, onAgentDone);
+      if (hook.startedAgent) {
+        persistRuntime();
+        return;
+      }
+    }
+
+    // re-add to queue if not already there; a question jumps the line
+    if (agentStatus && agentStatus.status === "needs_input") {
+      const i = queue.indexOf(project);
+      if (i >= 0) queue.splice(i, 1);
+      queue.unshift(project);
+    } else if (!queue.includes(project)) queue.push(project);
+    // a /workwait caller gets this turn's result, not a follow-on turn's
     resolveProjectWaiters(runtime, project);
+    if (startInboxTurn(project)) return;
+    if (startScheduledRun(project)) return;
+    persistRuntime();
     if (wakeIdle) {
       const wake = wakeIdle;
       wakeIdle = null;
@@ -2332,13 +5198,224 @@ async function main() {
   }
 
   function cleanup() {
-    if (runtime.metaProc) {
-      runtime.metaProc.kill();
-      runtime.metaProc = null;
+    persistRuntime();
+    if (runtime.metaRun) {
+      runtime.metaRun.kill();
+      runtime.metaRun = null;
+    }
+    for (const p of projects) {
+      if (p.run) { p.run.kill(); p.run = null; }
+      if (p.watchProc) { p.watchStopReason = "shutdown"; signalWatcher(p.watchProc); p.watchProc = null; }
+      stopFileWatch(p);
+    }
+    clearInterval(scheduleTimer);
+    const unsent = flushPendingWebhooks();
+    if (unsent) rmLog(`webhooks: ${unsent} pending deliver${unsent === 1 ? "y" : "ies"} kept in the outbox (/webhooks retry)`);
+    if (apiServer) {
+      apiServer.close();
+      apiServer.closeAllConnections();
+      apiServer = null;
+      removeApiInfo();
+    }
+  }
+
+  function initSchedules() {
+    const now = Date.now();
+    for (const p of projects) {
+      p.scheduleNext = p.config.schedule.map((e) => firstScheduleRun(e, now));
+      let missedAny = false;
+      for (const e of p.config.schedule) {
+        const missed = countMissedRuns(e, now);
+        if (!missed) continue;
+        e.missed += missed;
+        missedAny = true;
+        const msg = `[schedule missed] ${p.name}: ${missed} run${missed === 1 ? "" : "s"} of ${describeSchedule(e)} since ${e.lastRun}, running once now`;
+        rmLog(msg);
+        pushActivity(p, msg);
+      }
+      if (missedAny) saveConfig(p.configPath, p.config);
+    }
+  }
+
+  // The project on screen is left alone until the visit ends, so a scheduled
+  // turn never starts under a command being typed for it, and an open agent
+  // question is answered before any scheduled turn.
+  function startScheduledRun(project) {
+    if (!project.scheduledRuns.length || project.state !== "idle" || project.loop || project === visitProject) return false;
+    if (isAwaitingAnswer(project)) return false;
+    const blocked = getBudgetBlock(project, runtime);
+    if (blocked) {
+      const msg = `[budget] ${project.scheduledRuns.length} scheduled run(s) skipped: ${blocked}`;
+      rmLog(`${msg} (${project.name})`);
+      pushActivity(project, msg);
+      notifyProject(project, "budget", msg);
+      project.scheduledRuns = [];
+      return false;
+    }
+    const entry = project.scheduledRuns.shift();
+    entry.lastRun = nowIso();
+    reloadTaskLists(project);
+    saveConfig(project.configPath, project.config);
+    const msg = `[schedule] ${project.name}: ${describeSchedule(entry)}`;
+    rmLog(msg);
+    pushActivity(project, msg);
+    flushBufferedProgress(project);
+    project.holdStream = false;
+    startAgentTurn(project, resolveScheduleInput(project.config, entry), runtime, onAgentDone);
+    const i = queue.indexOf(project);
+    if (i >= 0) queue.splice(i, 1);
+    persistRuntime();
+    return true;
+  }
+
+  // Sent work waits in the inbox while the project is busy, looping, being
+  // visited or asking a question; `now` starts it under an open visit, which
+  // then moves on.
+  function startInboxTurn(project, now = false) {
+    if (!project.inbox.length || project.state !== "idle" || project.loop || isAwaitingAnswer(project)) return false;
+    if (project === visitProject && !now) return false;
+    const blocked = getBudgetBlock(project, runtime);
+    if (blocked) {
+      const msg = `[budget] ${project.inbox.length} sent turn(s) dropped: ${blocked}`;
+      rmLog(`${msg} (${project.name})`);
+      pushActivity(project, msg);
+      notifyProject(project, "budget", msg);
+      project.inbox = [];
+      persistRuntime();
+      return false;
     }
+    const work = project.inbox.shift();
+    rmLog(`-> starting sent work for ${project.name}: ${work.label}`);
+    flushBufferedProgress(project);
+    project.holdStream = false;
+    startAgentTurn(project, work.input, runtime, onAgentDone, work.macro ? { macro: work.macro } : {});
+    const i = queue.indexOf(project);
+    if (i >= 0) queue.splice(i, 1);
+    if (project === visitProject && visitAbort) visitAbort.abort();
+    persistRuntime();
+    return true;
+  }
+
+  function acceptSentWork(project, work) {
+    const msg = `[send] ${work.label} (external)`;
+    rmLog(`[send] ${project.name}: ${work.label} (from another shell)`);
+    pushActivity(project, msg);
+    project.inbox.push(work);
+    if (startInboxTurn(project, true)) return { started: true, waiting: project.inbox.length };
+    const after = isAwaitingAnswer(project) ? ", after its open question" : "";
+    rmLog(`-> queued as ${project.name}'s next turn (${project.inbox.length} waiting${after})`);
+    persistRuntime();
+    return { started: false, waiting: project.inbox.length };
+  }
+
+  function runDueSchedules() {
+    const now = Date.now();
     for (const p of projects) {
-      if (p.proc) { p.proc.kill(); p.proc = null; }
-      if (p.watchProc) { p.watchStopReason = "shutdown"; p.watchProc.kill(); p.watchProc = null; }
+      if (p.state === "dropped") continue;
+      p.config.schedule.forEach((e, i) => {
+        const at = p.scheduleNext[i];
+        if (!at || at > now) return;
+        p.scheduleNext[i] = nextScheduleRun(e, now);
+        if (!p.scheduledRuns.includes(e)) p.scheduledRuns.push(e);
+      });
+      if (!startInboxTurn(p)) startScheduledRun(p);
+    }
+  }
+
+  // Runs a REPL command on behalf of an API client. A command that moves the
+  // project on ends the visit to it, as if it had been typed at the prompt.
+  async function runApiCommand(project, cmd, arg) {
+    const actionRaw = arg ? `${cmd} ${arg}` : cmd;
+    rmLog(`[api] ${project.name}: /${actionRaw}`);
+    const { value: result, lines: output } = await withOutputCapture(() =>
+      runCommand({
+        cmd,
+        arg,
+        actionRaw,
+        project,
+        projects,
+        queue,
+        rl,
+        totalCost: runtime.totalCost,
+        runtime,
+        onAgentDone,
+        onWatchDone,
+      }));
+    if ((result === "next" || result === "shifted") && project === visitProject && visitAbort) visitAbort.abort();
+    persistRuntime();
+    if (wakeIdle) {
+      const wake = wakeIdle;
+      wakeIdle = null;
+      wake();
+    }
+    return { result, output };
+  }
+
+  function removeApiInfo() {
+    const file = resolveApiInfoPath();
+    try {
+      const info = fs.existsSync(file) ? parseJsonObject(fs.readFileSync(file, "utf-8")) : null;
+      if (info && info.pid === process.pid) fs.rmSync(file, { force: true });
+    } catch (err) {
+      rmLog(`[warn] failed to remove ${file}: ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+
+  async function startApi() {
+    const token = globalConfig.api.token || randomBytes(24).toString("hex");
+    const server = startControlServer({
+      projects,
+      queue,
+      runtime,
+      token,
+      budget: globalConfig.budget,
+      run: runApiCommand,
+      send: acceptSentWork,
+    });
+    const err = await new Promise((resolve) => {
+      server.once("error", resolve);
+      server.listen(globalConfig.api.port, "127.0.0.1", () => resolve(null));
+    });
+    if (err) {
+      rmLog(`[warn] api: ${err.message}`);
+      return;
+    }
+    apiServer = server;
+    const { port } = server.address();
+    const file = resolveApiInfoPath();
+    ensureParentDir(file);
+    // written fresh and renamed over, so a file left with looser permissions
+    // by an earlier run never receives the token
+    const tmp = `${file}.tmp-${process.pid}`;
+    fs.writeFileSync(tmp, `${JSON.stringify({ pid: process.pid, port, token, startedAt: nowIso() }, null, 2)}\n`, { encoding: "utf-8", mode: 0o600 });
+    fs.renameSync(tmp, file);
+    rmLog(`api: listening on http://127.0.0.1:${port} (token in ${file})`);
+  }
+
+  function onFilesChanged(project, files) {
+    const list = files.length > 5 ? `${files.slice(0, 5).join(", ")} (+${files.length - 5} more)` : files.join(", ");
+    if (project.state !== "snoozed" && project.state !== "watching") {
+      pushActivity(project, `[files] changed: ${list}`);
+      return;
+    }
+    if (project.watchProc) stopWatcher(project, "files changed");
+    setProjectState(project, "idle");
+    project.snoozeUntil = 0;
+    const msg = `[files changed] ${formatProjectLabel(project)}: ${list}`;
+    rmLog(msg);
+    pushActivity(project, msg);
+    const hook = runProjectHook(project, "afterFilesChanged", runtime, onAgentDone, files);
+    if (hook.startedAgent) {
+      persistRuntime();
+      return;
+    }
+    if (!queue.includes(project)) queue.push(project);
+    persistRuntime();
+    resolveProjectWaiters(runtime, project);
+    if (wakeIdle) {
+      const wake = wakeIdle;
+      wakeIdle = null;
+      wake();
     }
   }
 
@@ -2346,9 +5423,17 @@ async function main() {
     const code = meta && Object.prototype.hasOwnProperty.call(meta, "code") ? meta.code : null;
     const signal = meta && Object.prototype.hasOwnProperty.call(meta, "signal") ? meta.signal : null;
     const stopped = meta && meta.stopped === true;
-    project.state = "idle";
     project.watchProc = null;
-    if (stopped) {
+    // onFilesChanged already woke the project
+    if (stopped && meta.reason === "files changed") return;
+    setProjectState(project, "idle");
+    emitWebhook(globalConfig, project, "watch.exit", { command: project.config.watch, code, signal, stopped });
+    if (stopped && meta.reason === "timeout") {
+      const msg = `[watch timeout] ${formatProjectLabel(project)}`;
+      rmLog(msg);
+      pushActivity(project, msg);
+      notifyProject(project, "error", "watch command timed out");
+    } else if (stopped) {
       const msg = `[watch stopped] ${formatProjectLabel(project)}`;
       rmLog(msg);
       pushActivity(project, msg);
@@ -2356,14 +5441,20 @@ async function main() {
       const msg = `[watch ready] ${formatProjectLabel(project)} exit=0${signal ? ` signal=${signal}` : ""}`;
       rmLog(msg);
       pushActivity(project, msg);
+      notifyProject(project, "done", "watch command finished");
       const hook = runProjectHook(project, "afterWatchSuccess", runtime, onAgentDone);
-      if (hook.startedAgent) return;
+      if (hook.startedAgent) {
+        persistRuntime();
+        return;
+      }
     } else {
       const msg = `[watch exit] ${formatProjectLabel(project)} exit=${code === null ? "?" : code}${signal ? ` signal=${signal}` : ""}`;
       rmLog(msg);
       pushActivity(project, msg);
+      notifyProject(project, "error", `watch command exited ${code === null ? "?" : code}${signal ? ` (${signal})` : ""}`);
     }
     if (!queue.includes(project)) queue.push(project);
+    persistRuntime();
     resolveProjectWaiters(runtime, project);
     if (wakeIdle) {
       const wake = wakeIdle;
@@ -2375,16 +5466,61 @@ async function main() {
   process.on("SIGINT", () => { cleanup(); process.exit(0); });
   process.on("SIGTERM", () => { cleanup(); process.exit(0); });
 
+  for (const p of projects) {
+    if (startFileWatch(p, onFilesChanged)) rmLog(`files: watching ${p.name} for ${p.config.watchFiles.paths.join(", ")}`);
+  }
+  initSchedules();
+  scheduleTimer = setInterval(runDueSchedules, SCHEDULE_TICK_MS);
+  const outboxed = loadWebhookOutbox().length;
+  if (outboxed) rmLog(`webhooks: ${outboxed} undelivered in the outbox (/webhooks retry)`);
+  if (globalConfig.api.enabled) await startApi();
+
+  if (resumed) {
+    for (const item of resumed.interrupted) {
+      if (item.kind === "watch") rmLog(`resume: ${item.project.name} watcher was stopped (restart with /watch)`);
+      else if (item.kind === "queued") rmLog(`resume: ${item.project.name} turn was still queued: "${previewText(item.input) || "(no input)"}" (re-issue with /work)`);
+      else rmLog(`resume: ${item.project.name} agent was killed mid-turn: "${previewText(item.input) || "(no input)"}" (re-issue with /work)`);
+    }
+    for (const p of projects) {
+      if (p.inbox.length) rmLog(`resume: ${p.name} has ${p.inbox.length} sent turn(s) waiting; they start when it is idle`);
+    }
+    for (const item of resumed.loops) {
+      const { project, loop } = item;
+      const label = loop.autopilot ? "autopilot" : "loop";
+      const answer = (await ask(rl, `resume: continue ${label} ${project.name} ${loop.done}/${loop.max} "${loop.goal}"? (y/N) > `)).trim().toLowerCase();
+      if (answer !== "y" && answer !== "yes") continue;
+      if (project.state !== "idle") {
+        rmLog(`-> ${project.name} is ${project.state}, ${label} not resumed`);
+        continue;
+      }
+      project.loop = loop;
+      if (loop.autopilot) {
+        if (!startAutopilotTurn(project, runtime, onAgentDone)) {
+          rmLog(`-> ${project.name} has no todos left, autopilot not resumed`);
+          project.loop = null;
+          continue;
+        }
+        rmLog(`-> resuming autopilot ${project.name}: ${loop.done + 1}/${loop.max} "${loop.goal}"`);
+      } else {
+        rmLog(`-> resuming loop ${project.name}: ${loop.done + 1}/${loop.max} "${loop.goal}"`);
+        startAgentTurn(project, loop.goal, runtime, onAgentDone);
+      }
+      const i = queue.indexOf(project);
+      if (i >= 0) queue.splice(i, 1);
+    }
+  }
+
   rmLog("repl:");
   displayReplHelp();
 
   while (true) {
     refreshSnoozed(projects, queue);
     flushAllBufferedProgress(projects);
+    persistRuntime();
 
     // find next idle project
     const idle = queue.filter((p) => p.state === "idle");
-    const working = projects.filter((p) => p.state === "working");
+    const working = projects.filter((p) => p.state === "working" || p.state === "queued");
     const watching = projects.filter((p) => p.state === "watching");
     const snoozed = projects.filter((p) => p.state === "snoozed");
 
@@ -2395,6 +5531,7 @@ async function main() {
     }
 
     if (!idle.length) {
+      visitProject = null;
       displayStatus(projects);
       rmLog("No active idle projects. Waiting...");
       await new Promise((resolve) => {
@@ -2414,13 +5551,39 @@ async function main() {
       continue;
     }
 
-    // process idle projects in queue order
-    const project = idle[0];
+    // stay on the visited project until a command moves on; otherwise pick
+    const stay = visitProject && visitProject.state === "idle" && queue.includes(visitProject);
+    const project = stay ? visitProject : pickNextProject(queue, runtime.visits);
 
     rmLog();
+    if (visitProject !== project) {
+      visitProject = project;
+      if (project.skipBeforeVisit) {
+        project.skipBeforeVisit = false;
+      } else {
+        const hook = runProjectHook(project, "beforeVisit", runtime, onAgentDone);
+        if (hook.startedAgent) {
+          // the hook turn stands in for this visit; visit again once it finishes
+          project.skipBeforeVisit = true;
+          const i = queue.indexOf(project);
+          if (i >= 0) queue.splice(i, 1);
+          visitProject = null;
+          continue;
+        }
+      }
+    }
     displayProjectCompact(project);
 
-    const rawInput = (await ask(rl, `${ANSI.green}>${ANSI.reset} `)).trim();
+    visitAbort = new AbortController();
+    const answer = await ask(rl, `${ANSI.green}>${ANSI.reset} `, visitAbort.signal);
+    visitAbort = null;
+    if (answer === null) {
+      // an API command moved this project on
+      process.stdout.write("\n");
+      visitProject = null;
+      continue;
+    }
+    const rawInput = answer.trim();
     const bang = parseBangInput(rawInput);
     if (bang !== null) {
       if (!bang) {
@@ -2440,7 +5603,7 @@ async function main() {
       projects,
       queue,
       rl,
-      totalCost,
+      totalCost: runtime.totalCost,
       runtime,
       onAgentDone,
       onWatchDone,
@@ -2450,16 +5613,21 @@ async function main() {
       break;
     }
     if (r === "next") {
+      visitProject = null;
       rotateQueue(queue, project);
+      runAfterVisitHook(project, queue, runtime, onAgentDone);
+      continue;
+    }
+    if (r === "shifted") {
+      visitProject = null;
       continue;
     }
-    if (r === "shifted") continue;
     if (r === "stay") continue;
     rmLog("-> unknown command, try /help");
   }
 
   rl.close();
-  rmLog(`Total cost: $${totalCost.toFixed(4)}`);
+  rmLog(`Total cost: $${runtime.totalCost.toFixed(4)}`);
 }
 
 if (require.main === module) {
@@ -2467,37 +5635,103 @@ if (require.main === module) {
 }
 
 module.exports = {
+  AGENT_ADAPTERS,
   applyStreamEvent,
+  buildAnswerInput,
+  buildApiStatus,
+  buildEventFilter,
+  buildFilesChangedInput,
   buildMetaSnapshot,
   buildPrompt,
   buildProjectConfig,
+  buildReviewInput,
+  buildRuntimeState,
+  buildSendInput,
+  buildUsageReport,
+  captureOutput,
+  describeAgentStatus,
   consumeStreamChunk,
+  consumeStreamTail,
+  createOutputTail,
+  createStreamDecoder,
   collectDuplicateRepoBranches,
+  computeVisitOrder,
+  createVisitRounds,
+  countMissedRuns,
   collectBroadcastTargets,
   createProjectConfig,
+  ensureProjectWorktree,
   initProjectConfig,
+  diffRecentTurns,
   dropProject,
+  drainPendingTurns,
+  extractWaitQuestion,
+  finishTask,
+  formatEventLine,
+  formatTerminalNotification,
   formatRepoTag,
+  getBudgetBlock,
+  getGlobalBudgetBlock,
+  getLoopBudgetBlock,
+  globToRegExp,
   hasSuccessfulTurn,
+  isAwaitingAnswer,
+  isConnectionClosed,
   isInputWaitEvent,
+  isQuietTime,
   killProject,
+  loadDailySpend,
+  listWatchDirs,
+  mergeProjectWorktree,
+  moveTask,
+  nextScheduleRun,
+  normalizeAgentStatus,
   normalizeConfig,
   normalizeGlobalConfig,
+  normalizeNotify,
+  normalizeWebhooks,
   normalizeHooks,
+  normalizeSchedule,
   normalizeSession,
+  normalizeWatchFiles,
   parseAction,
+  parseAgentStatus,
   parseBangInput,
   parseCliArgs,
   parseDurationMs,
+  parseDurationSetting,
+  parseJsonObject,
   parseLoopCommand,
+  parseSinceMs,
+  parseReviewVerdict,
+  parseTaskIndex,
   parseTodoInput,
+  pickNextProject,
+  publishEvent,
   buildInitSeed,
   refreshSnoozed,
+  removeProjectWorktree,
+  resolveAgentBackend,
+  resolveTimeouts,
+  resolveWorkTurn,
+  resolveProjectWorktree,
   resolveHookAction,
+  resolveRevertStart,
+  restoreRuntimeState,
+  rmLog,
   rotateQueue,
+  runAgent,
   skipProjectRounds,
   runShellPassthrough,
   snoozeProject,
+  setProjectState,
+  signWebhookBody,
+  startAgentTurn,
+  subscribeEvents,
+  sumLedgerSpend,
   stopLoop,
+  takeNextTodo,
   toProgressLine,
+  withOutputCapture,
+  worktreeBranchName,
 };
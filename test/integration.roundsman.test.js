@@ -368,3 +368,1570 @@ test("integration: afterWatchSuccess hook output prints after watch ready", asyn
     fs.rmSync(xdgRoot, { recursive: true, force: true });
   }
 });
+
+test("integration: beforeVisit and afterVisit shell hooks bracket a visit", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  const hookPath = path.resolve(__dirname, "fixtures", "hook-echo");
+  let proc = null;
+
+  try {
+    const dir = path.join(tempRoot, "a");
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(path.join(dir, "roundsman.json"), {
+      hooks: {
+        beforeVisit: `!${shQuote(process.execPath)} ${shQuote(hookPath)}`,
+        afterVisit: `!${shQuote(process.execPath)} ${shQuote(hookPath)}`,
+      },
+    });
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+
+    proc.stdin.write("/status\n");
+    await c.waitForCount("[R] a t0", 2);
+    proc.stdin.write("/work smoke\n");
+    await c.waitFor(/\[hook afterVisit\] hook says hi/);
+    await c.waitFor(/\[done\] a/);
+    await c.waitFor(/\[R\] a t1/);
+
+    const out = c.read();
+    const firstBefore = out.indexOf("[hook beforeVisit] hook says hi");
+    const firstVisit = out.indexOf("[R] a t0");
+    const afterIx = out.indexOf("[hook afterVisit] hook says hi");
+    const secondBefore = out.indexOf("[hook beforeVisit] hook says hi", firstBefore + 1);
+    assert.ok(firstBefore >= 0 && firstBefore < firstVisit, "expected beforeVisit output before the visit");
+    assert.ok(afterIx > out.indexOf("-> starting agent for a"), "expected afterVisit after the hand-off");
+    assert.ok(secondBefore > afterIx, "expected beforeVisit again on the next visit");
+    assert.equal(out.slice(0, afterIx).split("[hook beforeVisit] hook says hi").length - 1, 1, "expected one beforeVisit per visit");
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: prompt hooks run as agent turns around the visit", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    const dir = path.join(tempRoot, "a");
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(path.join(dir, "roundsman.json"), {
+      hooks: {
+        beforeVisit: "summarize current status",
+        afterVisit: "summarize changes made this turn",
+      },
+    });
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/-> hook beforeVisit \(a\) prompt/);
+    await c.waitFor(/\[R\] a t1/);
+
+    proc.stdin.write("/work smoke\n");
+    await c.waitFor(/-> hook afterVisit \(a\) queued until current turn finishes/);
+    await c.waitFor(/-> hook afterVisit \(a\) prompt/);
+    await c.waitForCount("[done]", 3);
+    await c.waitForCount("-> hook beforeVisit (a) prompt", 2);
+    await c.waitFor(/\[R\] a t4/);
+
+    const out = c.read();
+    assert.equal((out.match(/-> hook beforeVisit \(a\) prompt/g) || []).length, 2, "expected beforeVisit once per visit");
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: --resume restores snoozes, queue order and model", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  const dirs = ["a", "b", "c"];
+  let proc = null;
+
+  try {
+    for (const name of dirs) {
+      const dir = path.join(tempRoot, name);
+      fs.mkdirSync(dir, { recursive: true });
+      writeJson(path.join(dir, "roundsman.json"), {});
+    }
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    const env = { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" };
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], { cwd: tempRoot, env, stdio: ["pipe", "pipe", "pipe"] });
+    let c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+    proc.stdin.write("/model resume-model\n");
+    await c.waitFor(/runtime model set to resume-model/);
+    proc.stdin.write("/snooze 1h\n");
+    await c.waitFor(/\[R\] b t0/);
+    proc.stdin.write("/skip\n");
+    await c.waitFor(/\[R\] c t0/);
+    proc.stdin.write("/quit\n");
+    await once(proc, "exit");
+
+    const state = JSON.parse(fs.readFileSync(path.join(xdgRoot, "roundsman", "runtime-state.json"), "utf-8"));
+    assert.equal(state.model, "resume-model");
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color", "--resume"], { cwd: tempRoot, env, stdio: ["pipe", "pipe", "pipe"] });
+    c = makeCollector(proc);
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/resume: restored state/);
+    await c.waitFor(/\[R\] c t0/);
+    proc.stdin.write("/model\n");
+    await c.waitFor(/-> model: resume-model/);
+    proc.stdin.write("/status\n");
+    await c.waitFor(/~ a\s+snoozed/);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: command backend streams plain stdout as agent output", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  const hookPath = path.resolve(__dirname, "fixtures", "hook-echo");
+  let proc = null;
+
+  try {
+    const dir = path.join(tempRoot, "a");
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(path.join(dir, "roundsman.json"), { backend: "plain" });
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      backends: {
+        plain: { type: "command", bin: process.execPath, args: [hookPath, "{prompt}"] },
+      },
+      budget: { session: 5 },
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/- a \(.*\) \[plain\]/);
+    await c.waitFor(/\[warn\] a: the plain backend reports no cost, so budgets never stop its turns/);
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+
+    proc.stdin.write("/work smoke\n");
+    await c.waitFor(/\[agent\] hook says hi/);
+    await c.waitFor(/\[done\] a .*\(\$0\.0000\)/);
+    await c.waitFor(/\[R\] a t1/);
+
+    const marker = JSON.parse(fs.readFileSync(path.join(dir, "roundsman.json"), "utf-8"));
+    assert.equal(marker.session.history[0].result, "hook says hi");
+    proc.stdin.write("/review\n");
+    await c.waitFor(/-> review needs a read-only mode, which the plain backend \(command\) does not have/);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: maxConcurrentAgents queues broadcast turns", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  const dirs = ["a", "b", "c"];
+  let proc = null;
+
+  try {
+    for (const name of dirs) {
+      const dir = path.join(tempRoot, name);
+      fs.mkdirSync(dir, { recursive: true });
+      writeJson(path.join(dir, "roundsman.json"), {});
+    }
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      maxConcurrentAgents: 1,
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+
+    proc.stdin.write("/broadcast smoke run\n");
+    await c.waitFor(/-> b queued for an agent slot \(0 ahead\)/);
+    await c.waitFor(/-> c queued for an agent slot \(1 ahead\)/);
+    await c.waitFor(/… b\s+queued/);
+    await c.waitForCount("[done]", 3);
+
+    const out = c.read();
+    const doneA = out.indexOf("[done] a");
+    const startB = out.indexOf("-> starting queued turn for b...");
+    const doneB = out.indexOf("[done] b");
+    const startC = out.indexOf("-> starting queued turn for c...");
+    assert.ok(doneA >= 0 && doneA < startB, "expected b to wait for a");
+    assert.ok(doneB >= 0 && doneB < startC, "expected c to wait for b");
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: budgets stop loops, refuse new work and /meta, and carry over a --resume", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    const dir = path.join(tempRoot, "a");
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(path.join(dir, "roundsman.json"), { budget: { loop: 0.02 } });
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      budget: { session: 0.03, daily: 5 },
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+
+    proc.stdin.write("/loop 5 keep going\n");
+    await c.waitFor(/\[budget\] loop stopped at 2\/5: loop budget \$0\.02 reached/);
+    await c.waitFor(/\[R\] a t2/);
+    proc.stdin.write("/work one more\n");
+    await c.waitFor(/\[R\] a t3/);
+    proc.stdin.write("/work too much\n");
+    await c.waitFor(/-> budget: session budget \$0\.03 reached/);
+    proc.stdin.write("/usage\n");
+    await c.waitFor(/session budget: \$0\.03 \(\$0\.0000 left\)/);
+    await c.waitFor(/daily budget: \$5\.00 \(\$0\.0300 spent today/);
+    proc.stdin.write("/meta tidy up\n");
+    await c.waitFor(/-> budget: session budget \$0\.03 reached[^\n]*\n[\s\S]*-> budget: session budget \$0\.03 reached/);
+    assert.doesNotMatch(c.read(), /starting meta agent/);
+
+    proc.stdin.write("/quit\n");
+    let [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color", "--resume"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const r = makeCollector(proc);
+    await r.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await r.waitFor(/\[R\] a t3/);
+    proc.stdin.write("/work after resume\n");
+    await r.waitFor(/-> budget: session budget \$0\.03 reached \(\$0\.0300 spent\)/);
+    proc.stdin.write("/quit\n");
+    [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: completed turns land in the ledger and roundsman usage reports them", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    const dir = path.join(tempRoot, "a");
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(path.join(dir, "roundsman.json"), { macros: { audit: "check things" } });
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    const env = { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" };
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], { cwd: tempRoot, env, stdio: ["pipe", "pipe", "pipe"] });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+    proc.stdin.write("/work smoke\n");
+    await c.waitFor(/\[R\] a t1/);
+    proc.stdin.write("/macro run audit\n");
+    await c.waitFor(/\[R\] a t2/);
+    proc.stdin.write("/metawait tidy up\n");
+    await c.waitFor(/-> meta complete \(\$0\.0100\)/);
+    proc.stdin.write("/quit\n");
+    await once(proc, "exit");
+
+    const rows = fs.readFileSync(path.join(xdgRoot, "roundsman", "ledger.jsonl"), "utf-8").trim().split("\n").map((x) => JSON.parse(x));
+    assert.equal(rows.length, 3);
+    assert.equal(rows[2].project, "(meta)");
+    assert.equal(rows[2].cost, 0.01);
+    assert.equal(rows[0].project, "a");
+    assert.equal(rows[0].status, "ok");
+    assert.equal(rows[0].cost, 0.01);
+    assert.equal(rows[1].macro, "audit");
+    assert.match(rows[0].inputDigest, /^[0-9a-f]{12}$/);
+
+    proc = spawn(process.execPath, [roundsmanPath, "usage", "--json", "--since", "1d"], { cwd: tempRoot, env, stdio: ["pipe", "pipe", "pipe"] });
+    const u = makeCollector(proc);
+    const [code] = await once(proc, "close");
+    assert.equal(code, 0);
+    const report = JSON.parse(u.read());
+    assert.equal(report.total.count, 3);
+    assert.deepEqual(report.byProject.map((r) => r.key).sort(), ["(meta)", "a"]);
+    assert.deepEqual(report.byMacro.map((r) => r.key).sort(), ["(none)", "audit"]);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: /todo edits the marker and /autopilot works through todos", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    const dir = path.join(tempRoot, "a");
+    const marker = path.join(dir, "roundsman.json");
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(marker, { todos: ["first"], autopilot: true });
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+
+    proc.stdin.write("/todo add second\n");
+    await c.waitFor(/-> added todo 2: second/);
+    proc.stdin.write("/todo add third\n");
+    await c.waitFor(/-> added todo 3: third/);
+    proc.stdin.write("/todo rm 3\n");
+    await c.waitFor(/-> removed: third/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(marker, "utf-8")).todos, ["first", "second"]);
+    proc.stdin.write("/todo add wip draft\n");
+    await c.waitFor(/-> added todo 3: wip draft/);
+
+    proc.stdin.write("/autopilot\n");
+    await c.waitFor(/-> starting autopilot a: 1\/3 "first"/);
+    await c.waitFor(/\[autopilot\] a 2\/3 "second"/);
+    await c.waitFor(/\[autopilot\] a 3\/3 "wip draft"/);
+    await c.waitFor(/\[autopilot\] "wip draft" not reported done; left in doing \(a\)/);
+    await c.waitFor(/\[autopilot done\] a 3\/3/);
+    await c.waitFor(/\[R\] a t3/);
+    proc.stdin.write("/todo\n");
+    await c.waitFor(/done:\n\[R\]\s+1\. first\n\[R\]\s+2\. second/);
+
+    const after = JSON.parse(fs.readFileSync(marker, "utf-8"));
+    assert.deepEqual([after.todos, after.doing, after.done], [[], ["wip draft"], ["first", "second"]]);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: a needs_input question jumps the queue and the reply resumes the session", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    for (const name of ["a", "b", "c"]) {
+      const dir = path.join(tempRoot, name);
+      fs.mkdirSync(dir, { recursive: true });
+      writeJson(path.join(dir, "roundsman.json"), {});
+    }
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      api: { enabled: true, port: 0 },
+    });
+
+    const env = { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "needs-input" };
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], { cwd: tempRoot, env, stdio: ["pipe", "pipe", "pipe"] });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+    proc.stdin.write("/work pick a database\n");
+    await c.waitFor(/\[R\] b t0/);
+    await c.waitFor(/\[status\] needs input: Which DB\? \(a\)/);
+
+    // work sent meanwhile waits behind the question
+    const send = spawn(process.execPath, [roundsmanPath, "send", "a", "later", "--no-color"], { env, stdio: ["ignore", "pipe", "pipe"] });
+    let sent = "";
+    send.stdout.on("data", (chunk) => { sent += chunk; });
+    await once(send, "exit");
+    assert.match(sent, /-> a is awaiting-answer; queued as its next turn \(1 waiting\)/);
+    await c.waitFor(/-> queued as a's next turn \(1 waiting, after its open question\)/);
+
+    proc.stdin.write("/snooze 5\n");
+    await c.waitFor(/\[R\] a t1\n\[R\] question: Which DB\?/);
+    proc.stdin.write("/status\n");
+    await c.waitFor(/\? a\s+awaiting-answer/);
+
+    const cfg = JSON.parse(fs.readFileSync(path.join(tempRoot, "a", "roundsman.json"), "utf-8"));
+    assert.equal(cfg.session.summary, "Need a decision.");
+
+    proc.stdin.write("Postgres\n");
+    await c.waitFor(/-> answering a\.\.\./);
+    await c.waitFor(/resumed with Postgres\n\[R\] -> starting sent work for a: "later"/);
+    await c.waitForCount("[status] needs input: Which DB? (a)", 2);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: /priority, /pin and /order shape the visit sequence", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    for (const name of ["a", "b", "c"]) {
+      const dir = path.join(tempRoot, name);
+      fs.mkdirSync(dir, { recursive: true });
+      writeJson(path.join(dir, "roundsman.json"), {});
+    }
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+    proc.stdin.write("/order 4\n");
+    await c.waitFor(/1\. a\n\[R\]\s+2\. b\n\[R\]\s+3\. c\n\[R\]\s+4\. a\n/);
+
+    proc.stdin.write("/skip\n");
+    await c.waitFor(/\[R\] b t0/);
+    proc.stdin.write("/priority 5\n");
+    await c.waitFor(/-> priority for b set to 5/);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(tempRoot, "b", "roundsman.json"), "utf-8")).priority, 5);
+    proc.stdin.write("/drop\n");
+    await c.waitFor(/-> dropped b/);
+    // a was visited this round already, c has waited longest
+    await c.waitFor(/\[R\] c t0/);
+    proc.stdin.write("/pin\n");
+    await c.waitFor(/-> pinned c/);
+    proc.stdin.write("/order 2\n");
+    await c.waitFor(/1\. c \(pinned\)\n\[R\]\s+2\. a\n/);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: worktree isolation keeps agent edits on a branch until /merge", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  const gitEnv = {
+    GIT_AUTHOR_NAME: "t",
+    GIT_AUTHOR_EMAIL: "t@example.com",
+    GIT_COMMITTER_NAME: "t",
+    GIT_COMMITTER_EMAIL: "t@example.com",
+  };
+  const run = (args, cwd) => require("node:child_process").execFileSync("git", args, { cwd, env: { ...process.env, ...gitEnv }, stdio: "pipe" });
+  let proc = null;
+
+  try {
+    const dir = path.join(tempRoot, "a");
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(path.join(dir, "roundsman.json"), { isolation: "worktree" });
+    run(["init", "-q", "-b", "main"], dir);
+    run(["add", "-A"], dir);
+    run(["commit", "-q", "-m", "init"], dir);
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, ...gitEnv, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal", ROUNDSMAN_MOCK_WRITE: "agent.txt" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a@main t0/);
+    proc.stdin.write("/work write a file\n");
+    await c.waitFor(/\[worktree\] a: changes are on roundsman\/a-cdb4ee \(\/diff branch, \/merge or \/discard\)/);
+    await c.waitFor(/\[R\] a@main t1/);
+    assert.equal(fs.existsSync(path.join(dir, "agent.txt")), false);
+
+    proc.stdin.write("/diff\n");
+    await c.waitFor(/diff: last 1 turn of a\n\[R\]\s+agent\.txt \| 1 \+/);
+    proc.stdin.write("/diff branch\n");
+    await c.waitFor(/roundsman\/a-cdb4ee vs main:\n\[R\]\s+agent\.txt \| 1 \+/);
+    proc.stdin.write("/merge\n");
+    await c.waitFor(/-> merged roundsman\/a-cdb4ee into main and removed the worktree/);
+    assert.match(fs.readFileSync(path.join(dir, "agent.txt"), "utf-8"), /written in .*worktrees/);
+    proc.stdin.write("/diff branch\n");
+    await c.waitFor(/-> no worktree for a/);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: a worktree that cannot be made fails the turn and leaves the project idle", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    writeJson(path.join(tempRoot, "a", "roundsman.json"), { isolation: "worktree" });
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+    proc.stdin.write("/work write a file\n");
+    await c.waitFor(/\[done\] a .*\n\[a\s*\] > error: worktree: project is not in a git repository/);
+    proc.stdin.write("/status\n");
+    await c.waitFor(/· a\s+idle\n/);
+
+    const rows = fs.readFileSync(path.join(xdgRoot, "roundsman", "ledger.jsonl"), "utf-8").trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(rows.map((r) => [r.project, r.status, r.cost]), [["a", "error", 0]]);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: /diff shows the last turn's changes and /review records a verdict", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  const gitEnv = {
+    GIT_AUTHOR_NAME: "t",
+    GIT_AUTHOR_EMAIL: "t@example.com",
+    GIT_COMMITTER_NAME: "t",
+    GIT_COMMITTER_EMAIL: "t@example.com",
+  };
+  const run = (args, cwd) => require("node:child_process").execFileSync("git", args, { cwd, env: { ...process.env, ...gitEnv }, stdio: "pipe" });
+  let proc = null;
+
+  try {
+    const repo = path.join(tempRoot, "repo");
+    const dir = path.join(repo, "app");
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(path.join(dir, "roundsman.json"), {});
+    fs.writeFileSync(path.join(repo, "other.txt"), "x\n");
+    run(["init", "-q", "-b", "main"], repo);
+    run(["add", "-A"], repo);
+    run(["commit", "-q", "-m", "init"], repo);
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      checkpoint: { snapshots: true },
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, ...gitEnv, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal", ROUNDSMAN_MOCK_WRITE: "agent.txt" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] repo@main t0/);
+    proc.stdin.write("/diff\n");
+    await c.waitFor(/-> diff: no turns yet/);
+    proc.stdin.write("/work write a file\n");
+    await c.waitFor(/\[R\] repo@main t1/);
+    fs.writeFileSync(path.join(repo, "other.txt"), "changed outside the project\n");
+
+    proc.stdin.write("/diff\n");
+    await c.waitFor(/diff: last 1 turn of app\n\[R\]\s+app\/agent\.txt \| 1 \+/);
+    await c.waitFor(/\+written in /);
+    assert.doesNotMatch(c.read(), /app\/roundsman\.json/);
+    assert.doesNotMatch(c.read(), /other\.txt/);
+    proc.stdin.write("/view\n");
+    await c.waitFor(/\| took \d+s\n\[R\] snapshots: [0-9a-f]{8}\.\.[0-9a-f]{8} \| 1 file \+1 -0\n\[R\] files: app\/agent\.txt\n/);
+
+    proc.stdin.write("/review\n");
+    await c.waitFor(/\[review\] app: approve/);
+    await c.waitFor(/\[R\] repo@main t2/);
+    proc.stdin.write("/log\n");
+    await c.waitFor(/1\. #1  .*  \d+s  1 file \+1 -0\n[\s\S]*2\. #2  .*review: approve/);
+    proc.stdin.write("/view\n");
+    await c.waitFor(/input: review: last 1 turn\n\[R\] cost: .*\n.*Verdict: approve\n.*mode plan, saw app\/agent\.txt\n/);
+
+    const cfg = JSON.parse(fs.readFileSync(path.join(dir, "roundsman.json"), "utf-8"));
+    const [work, review] = cfg.session.history;
+    assert.match(work.preSha, /^[0-9a-f]{40}$/);
+    assert.notEqual(work.preSha, work.postSha);
+    assert.deepEqual([work.files, work.insertions, work.deletions], [["app/agent.txt"], 1, 0]);
+    assert.ok(work.durationMs > 0);
+    assert.equal(review.kind, "review");
+    assert.equal(review.verdict, "approve");
+    assert.equal(cfg.session.summary, "mock done");
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: /revert undoes recent turns past a human commit and refuses overlaps", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  const gitEnv = {
+    GIT_AUTHOR_NAME: "t",
+    GIT_AUTHOR_EMAIL: "t@example.com",
+    GIT_COMMITTER_NAME: "t",
+    GIT_COMMITTER_EMAIL: "t@example.com",
+  };
+  const run = (args, cwd) => require("node:child_process").execFileSync("git", args, { cwd, env: { ...process.env, ...gitEnv }, stdio: "pipe" });
+  let proc = null;
+
+  try {
+    const repo = path.join(tempRoot, "repo");
+    const dir = path.join(repo, "app");
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(path.join(dir, "roundsman.json"), { todos: ["a"] });
+    run(["init", "-q", "-b", "main"], repo);
+    run(["add", "-A"], repo);
+    run(["commit", "-q", "-m", "init"], repo);
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      checkpoint: { enabled: true },
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, ...gitEnv, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal", ROUNDSMAN_MOCK_WRITE: "agent.txt" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] repo@main t0/);
+    proc.stdin.write("/revert\n");
+    await c.waitFor(/-> revert failed: no turns yet/);
+    fs.writeFileSync(path.join(repo, "outside.txt"), "not the project's\n");
+    proc.stdin.write("/work first\n");
+    await c.waitFor(/\[R\] repo@main t1/);
+    // checkpoints of a project below the repo root commit only its own path
+    assert.match(run(["log", "-1", "--format=%s"], repo).toString(), /^roundsman turn 1: /);
+    assert.deepEqual(run(["show", "--name-only", "--format=", "HEAD"], repo).toString().trim().split("\n"), ["app/agent.txt", "app/roundsman.json"]);
+    fs.rmSync(path.join(repo, "outside.txt"));
+    proc.stdin.write("/todo start 1\n");
+    await c.waitFor(/-> started: a/);
+    proc.stdin.write("/work second\n");
+    await c.waitFor(/\[R\] repo@main t2/);
+    proc.stdin.write("/todo done 1\n");
+    await c.waitFor(/-> finished: a/);
+    fs.writeFileSync(path.join(dir, "human.txt"), "mine\n");
+    run(["add", "-A"], repo);
+    run(["commit", "-q", "-m", "human"], repo);
+
+    proc.stdin.write("/log\n");
+    await c.waitFor(/2\. #2  /);
+    proc.stdin.write("/revert #9\n");
+    await c.waitFor(/-> revert failed: no turn #9 in history/);
+    proc.stdin.write("/revert\n");
+    await c.waitFor(/-> reverted 1 turn of app, back to before turn #2\n/);
+    assert.equal(fs.readFileSync(path.join(dir, "agent.txt"), "utf-8").split("\n").length, 2);
+    assert.equal(fs.readFileSync(path.join(dir, "human.txt"), "utf-8"), "mine\n");
+    let cfg = JSON.parse(fs.readFileSync(path.join(dir, "roundsman.json"), "utf-8"));
+    assert.equal(cfg.session.turn, 1);
+    assert.equal(cfg.session.history.length, 1);
+    assert.deepEqual([cfg.todos, cfg.doing, cfg.done], [[], ["a"], []]);
+    assert.match(run(["log", "-1", "--format=%s"], repo).toString(), /^roundsman revert to before turn 2/);
+
+    fs.writeFileSync(path.join(dir, "agent.txt"), "rewritten by hand\n");
+    proc.stdin.write("/revert 1\n");
+    await c.waitFor(/-> revert failed: later changes overlap the reverted turns/);
+    assert.equal(fs.readFileSync(path.join(dir, "agent.txt"), "utf-8"), "rewritten by hand\n");
+    cfg = JSON.parse(fs.readFileSync(path.join(dir, "roundsman.json"), "utf-8"));
+    assert.equal(cfg.session.history.length, 1);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: watchFiles wakes snoozed and parked projects and runs afterFilesChanged", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    const dir = path.join(tempRoot, "a");
+    fs.mkdirSync(path.join(dir, "notes"), { recursive: true });
+    writeJson(path.join(dir, "roundsman.json"), {
+      watchFiles: { paths: ["inbox/*.md", "notes/**/*.md"], debounce: 0.2 },
+      hooks: { afterFilesChanged: "triage the inbox" },
+    });
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/files: watching a for inbox\/\*\.md, notes\/\*\*\/\*\.md/);
+    await c.waitFor(/\[R\] a t0/);
+
+    proc.stdin.write("/snooze 1h\n");
+    await c.waitFor(/No active idle projects\. Waiting\.\.\./);
+    fs.writeFileSync(path.join(dir, "ignored.txt"), "x\n");
+    fs.mkdirSync(path.join(dir, "inbox"));
+    fs.writeFileSync(path.join(dir, "inbox", "first.md"), "hello\n");
+    await c.waitFor(/\[files changed\] a .*: inbox\/first\.md/);
+    await c.waitFor(/-> hook afterFilesChanged \(a\) prompt/);
+    await c.waitFor(/\[R\] a t1/);
+
+    proc.stdin.write("/watch\n");
+    await c.waitFor(/-> waiting for file changes in a\.\.\./);
+    fs.writeFileSync(path.join(dir, "inbox", "second.md"), "hi\n");
+    await c.waitFor(/\[files changed\] a .*: inbox\/second\.md/);
+    await c.waitFor(/\[R\] a t2/);
+
+    const cfg = JSON.parse(fs.readFileSync(path.join(dir, "roundsman.json"), "utf-8"));
+    assert.deepEqual(cfg.session.history.map((h) => h.input), [
+      "triage the inbox\n\nChanged files:\n- inbox/first.md",
+      "triage the inbox\n\nChanged files:\n- inbox/second.md",
+    ]);
+    assert.doesNotMatch(c.read(), /ignored\.txt/);
+
+    // a path that cannot be inspected is reported instead of ending the REPL
+    fs.symlinkSync("loop.md", path.join(dir, "notes", "loop.md"));
+    await new Promise((r) => setTimeout(r, 300));
+    proc.stdin.write("/activity\n");
+    await c.waitFor(/\[files\] cannot stat .*loop\.md: ELOOP/);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: schedules record missed runs, catch up once and show in /schedule", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    fs.mkdirSync(path.join(tempRoot, "a"), { recursive: true });
+    fs.mkdirSync(path.join(tempRoot, "b"), { recursive: true });
+    writeJson(path.join(tempRoot, "a", "roundsman.json"), {});
+    const lastRun = new Date(Date.now() - 3.5 * 60 * 60 * 1000).toISOString();
+    writeJson(path.join(tempRoot, "b", "roundsman.json"), {
+      macros: { audit: "check dependencies" },
+      schedule: [
+        { every: "1h", run: "audit", lastRun },
+        { cron: "0 0 1 1 *", run: "new year review" },
+      ],
+    });
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[schedule missed\] b: 3 runs of every 1h: audit since .*, running once now/);
+    await c.waitFor(/\[R\] a t0/);
+    await c.waitFor(/\[schedule\] b: every 1h: audit/);
+    await c.waitFor(/\[done\] b /);
+
+    proc.stdin.write("/schedule\n");
+    await c.waitFor(/b\s+in 1h \(.*\)  every 1h: audit  \(last .*, missed 3\)\n\[R\] b\s+in \d+[mhd] \(.*\)  cron "0 0 1 1 \*": new year review  \(last never\)/);
+
+    const cfg = JSON.parse(fs.readFileSync(path.join(tempRoot, "b", "roundsman.json"), "utf-8"));
+    assert.deepEqual(cfg.session.history.map((h) => h.input), ["check dependencies"]);
+    assert.equal(cfg.schedule[0].missed, 3);
+    assert.ok(Date.parse(cfg.schedule[0].lastRun) > Date.parse(lastRun));
+    assert.equal(cfg.schedule[1].lastRun, "");
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: due schedules keep the agent's marker edits and wait for an open question", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  const bMarker = path.join(tempRoot, "b", "roundsman.json");
+  let proc = null;
+
+  try {
+    fs.mkdirSync(path.join(tempRoot, "a"), { recursive: true });
+    fs.mkdirSync(path.join(tempRoot, "b"), { recursive: true });
+    writeJson(path.join(tempRoot, "a", "roundsman.json"), {});
+    writeJson(bMarker, { schedule: [{ every: "1s", run: "tick" }] });
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+    });
+
+    // the turn sleeps while the schedule comes due again; the marker edit
+    // made meanwhile stands in for the agent's own
+    let env = { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal", ROUNDSMAN_MOCK_SLEEP_MS: "2500", ROUNDSMAN_MOCK_SLEEP_IN: "b" };
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], { cwd: tempRoot, env, stdio: ["pipe", "pipe", "pipe"] });
+    let c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[schedule\] b: every 1s: tick/);
+    const started = JSON.parse(fs.readFileSync(bMarker, "utf-8"));
+    assert.ok(started.schedule[0].lastRun);
+    started.todos = ["added during the turn"];
+    writeJson(bMarker, started);
+    await c.waitFor(/\[done\] b /, 20000);
+    await c.waitForCount("[schedule] b: every 1s: tick", 2);
+    assert.deepEqual(JSON.parse(fs.readFileSync(bMarker, "utf-8")).todos, ["added during the turn"]);
+
+    proc.stdin.write("/quit\n");
+    let [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+
+    env = { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "needs-input" };
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], { cwd: tempRoot, env, stdio: ["pipe", "pipe", "pipe"] });
+    c = makeCollector(proc);
+
+    // b has gone longest without a visit, so it is on screen first
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] b t2/);
+    proc.stdin.write("/skip\n");
+    await c.waitFor(/\[status\] needs input: Which DB\? \(b\)/);
+    await new Promise((r) => setTimeout(r, 2500));
+    assert.equal((c.read().match(/\[schedule\] b:/g) || []).length, 1);
+
+    proc.stdin.write("/skip\n");
+    await c.waitFor(/\[R\] b t\d+\n\[R\] question: Which DB\?/);
+    proc.stdin.write("Postgres\n");
+    await c.waitFor(/resumed with Postgres/);
+
+    proc.stdin.write("/quit\n");
+    [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: control API reports state, streams events and serves status/tail clients", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+  let tail = null;
+
+  try {
+    fs.mkdirSync(path.join(tempRoot, "a"), { recursive: true });
+    fs.mkdirSync(path.join(tempRoot, "b"), { recursive: true });
+    writeJson(path.join(tempRoot, "a", "roundsman.json"), {});
+    writeJson(path.join(tempRoot, "b", "roundsman.json"), {});
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      api: { enabled: true, port: 0, token: "sekret" },
+    });
+    // left behind by a crashed run, readable by anyone
+    const infoPath = path.join(xdgRoot, "roundsman", "api.json");
+    fs.writeFileSync(infoPath, "{}\n", { mode: 0o644 });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/api: listening on http:\/\/127\.0\.0\.1:\d+/);
+    await c.waitFor(/\[R\] a t0/);
+    const info = JSON.parse(fs.readFileSync(infoPath, "utf-8"));
+    assert.equal(info.token, "sekret");
+    assert.equal(fs.statSync(infoPath).mode & 0o777, 0o600);
+    const base = `http://127.0.0.1:${info.port}`;
+    const call = async (method, route, body) => {
+      const res = await fetch(`${base}${route}`, {
+        method,
+        headers: { authorization: "Bearer sekret", "content-type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      return { status: res.status, body: await res.json() };
+    };
+
+    assert.equal((await fetch(`${base}/status`)).status, 401);
+    assert.equal((await fetch(`${base}/status?token=sekret`)).status, 401);
+    let r = await call("GET", "/status");
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.projects.map((p) => [p.name, p.state]), [["a", "idle"], ["b", "idle"]]);
+
+    const auth = { headers: { authorization: "Bearer sekret" } };
+    assert.equal((await fetch(`${base}/events?type=nope`, auth)).status, 400);
+    const events = [];
+    const streamAbort = new AbortController();
+    const stream = await fetch(`${base}/events?project=b&format=ndjson`, { ...auth, signal: streamAbort.signal });
+    assert.equal(stream.status, 200);
+    const reading = (async () => {
+      const decoder = new TextDecoder();
+      let buf = "";
+      for await (const chunk of stream.body) {
+        buf += decoder.decode(chunk, { stream: true });
+        const lines = buf.split("\n");
+        buf = lines.pop();
+        for (const line of lines) if (line.trim()) events.push(JSON.parse(line));
+      }
+    })().catch(() => {});
+
+    r = await call("POST", "/projects/b/work", { arg: "hello from api" });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.result, "next");
+    assert.ok(r.body.output.includes("-> starting agent for b..."));
+    await c.waitFor(/\[api\] b: \/work hello from api/);
+    await c.waitFor(/\[done\] b /);
+    for (let i = 0; i < 50 && !events.some((e) => e.type === "done"); i++) await new Promise((r) => setTimeout(r, 50));
+    assert.ok(events.every((e) => e.project === "b"));
+    assert.ok(events.some((e) => e.type === "state" && e.from === "idle" && e.to === "working"));
+    assert.ok(events.some((e) => e.type === "activity"));
+    const doneEvt = events.find((e) => e.type === "done");
+    assert.equal(doneEvt.stopped, false);
+    assert.equal(typeof doneEvt.cost, "number");
+    streamAbort.abort();
+    await reading;
+
+    r = await call("POST", "/projects/a/snooze", { arg: "1h" });
+    assert.equal(r.body.project.state, "snoozed");
+    await c.waitFor(/\[R\] b t1/);
+
+    r = await call("GET", "/projects/b/history");
+    assert.deepEqual(r.body.map((h) => h.input), ["hello from api"]);
+    assert.equal((await call("POST", "/projects/b/work", {})).status, 400);
+    r = await call("POST", "/projects/b/kill", { arg: "all" });
+    assert.equal(r.status, 400);
+    assert.match(r.body.error, /takes no arg/);
+    assert.equal((await call("POST", "/projects/b/quit", {})).status, 404);
+    assert.equal((await call("GET", "/projects/zzz")).status, 404);
+
+    const env = { ...process.env, XDG_CONFIG_HOME: xdgRoot };
+    const runClient = async (args) => {
+      const child = spawn(process.execPath, [roundsmanPath, ...args, "--no-color"], { env, stdio: ["ignore", "pipe", "pipe"] });
+      let out = "";
+      child.stdout.on("data", (chunk) => { out += chunk; });
+      child.stderr.on("data", (chunk) => { out += chunk; });
+      const [exitCode] = await once(child, "exit");
+      return { code: exitCode, out };
+    };
+    let client = await runClient(["status"]);
+    assert.equal(client.code, 0);
+    assert.match(client.out, /status:\n.*~ a .* snoozed/);
+    assert.match(client.out, /\(no active loops\)/);
+    assert.match(client.out, /usage: total \$/);
+    client = await runClient(["status", "--json"]);
+    assert.deepEqual(JSON.parse(client.out).queue.length, 1);
+
+    tail = spawn(process.execPath, [roundsmanPath, "tail", "b", "--no-color"], { env, stdio: ["ignore", "pipe", "pipe"] });
+    const t = makeCollector(tail);
+    await t.waitFor(/\d\d:\d\d:\d\d b \[done\] \$/);
+    assert.doesNotMatch(t.read(), / a /);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+    assert.equal(fs.existsSync(infoPath), false);
+    await t.waitFor(/roundsman exited/);
+    client = await runClient(["status"]);
+    assert.equal(client.code, 1);
+    assert.match(client.out, /no running roundsman found/);
+  } finally {
+    if (tail && tail.exitCode === null) tail.kill("SIGTERM");
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: send starts work for an idle project and queues it behind a busy one", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    fs.mkdirSync(path.join(tempRoot, "a"), { recursive: true });
+    fs.mkdirSync(path.join(tempRoot, "b"), { recursive: true });
+    writeJson(path.join(tempRoot, "a", "roundsman.json"), {});
+    writeJson(path.join(tempRoot, "b", "roundsman.json"), { macros: { ship: "Ship it." } });
+
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      api: { enabled: true, port: 0 },
+    });
+
+    const env = { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal", ROUNDSMAN_MOCK_SLEEP_MS: "1500" };
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], { cwd: tempRoot, env, stdio: ["pipe", "pipe", "pipe"] });
+    const c = makeCollector(proc);
+    const send = async (...args) => {
+      const child = spawn(process.execPath, [roundsmanPath, "send", ...args, "--no-color"], { env, stdio: ["ignore", "pipe", "pipe"] });
+      let out = "";
+      child.stdout.on("data", (chunk) => { out += chunk; });
+      child.stderr.on("data", (chunk) => { out += chunk; });
+      const [code] = await once(child, "exit");
+      return { code, out };
+    };
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+
+    let r = await send("b", "first", "job");
+    assert.equal(r.code, 0);
+    assert.match(r.out, /-> started a turn for b/);
+    await c.waitFor(/\[send\] b: "first job" \(from another shell\)/);
+
+    r = await send("b", "--macro", "ship");
+    assert.match(r.out, /-> b is working; queued as its next turn \(1 waiting\)/);
+    await c.waitFor(/-> queued as b's next turn \(1 waiting\)/);
+    assert.match((await send("b", "--macro", "nope")).out, /macro not found: "nope"/);
+    r = await send("zzz", "hi");
+    assert.equal(r.code, 1);
+    assert.match(r.out, /no project matched "zzz"/);
+
+    await c.waitFor(/-> starting sent work for b: macro "ship"/);
+    await c.waitForCount("[done] b", 2, 20000);
+    const history = JSON.parse(fs.readFileSync(path.join(tempRoot, "b", "roundsman.json"), "utf-8")).session.history;
+    assert.deepEqual(history.map((h) => h.input), ["first job", "Ship it."]);
+
+    // sending to the project on screen starts it and moves the visit on
+    r = await send("a", "from", "editor");
+    assert.match(r.out, /-> started a turn for a/);
+    await c.waitFor(/\[done\] a /);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: notifications run the command and post the webhook for enabled events", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  const notifyLog = path.join(tempRoot, "notify.log");
+  const posts = [];
+  const server = require("node:http").createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      posts.push(JSON.parse(body));
+      res.end("ok");
+    });
+  });
+  let proc = null;
+
+  try {
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    fs.mkdirSync(path.join(tempRoot, "a"), { recursive: true });
+    writeJson(path.join(tempRoot, "a", "roundsman.json"), {});
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      notify: {
+        command: `printf '%s %s %s\\n' "$ROUNDSMAN_NOTIFY_EVENT" "$ROUNDSMAN_NOTIFY_PROJECT" "$ROUNDSMAN_NOTIFY_MESSAGE" >> ${JSON.stringify(notifyLog)}`,
+        webhook: `http://127.0.0.1:${server.address().port}/hook`,
+        events: ["done", "error"],
+      },
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/notify: command, webhook on done, error/);
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+    proc.stdin.write("/work ship it\n");
+    await c.waitFor(/\[done\] a /);
+    for (let i = 0; i < 50 && (!posts.length || !fs.existsSync(notifyLog)); i++) await new Promise((r) => setTimeout(r, 50));
+
+    assert.match(fs.readFileSync(notifyLog, "utf-8"), /^done a \$0\.0100 mock done\n$/);
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].event, "done");
+    assert.equal(posts[0].project, "a");
+    assert.equal(posts[0].title, "roundsman: a done");
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    server.close();
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: webhooks post signed turn events and keep failed deliveries in the outbox", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  const received = [];
+  let failing = true;
+  const server = require("node:http").createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      if (req.url === "/flaky" && failing) {
+        res.statusCode = 503;
+        res.end();
+        return;
+      }
+      received.push({ url: req.url, headers: req.headers, body });
+      res.end("ok");
+    });
+  });
+  let proc = null;
+
+  try {
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    fs.mkdirSync(path.join(tempRoot, "a"), { recursive: true });
+    writeJson(path.join(tempRoot, "a", "roundsman.json"), {
+      webhooks: { url: `${base}/flaky`, secret: "f1", events: ["turn.done"], retries: 1 },
+    });
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      webhooks: [{ url: `${base}/chat`, secret: "s3", events: ["turn.start", "turn.done"] }],
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+    proc.stdin.write("/work ship it\n");
+    await c.waitFor(/\[done\] a /);
+    await c.waitFor(/\[webhook\] turn\.done to http:\/\/127\.0\.0\.1:\d+\/flaky failed after 2 attempt\(s\): HTTP 503 \(kept in outbox\)/);
+
+    assert.deepEqual(received.map((r) => [r.url, r.headers["x-roundsman-event"]]), [["/chat", "turn.start"], ["/chat", "turn.done"]]);
+    const done = received[1];
+    const sig = require("node:crypto").createHmac("sha256", "s3").update(done.body).digest("hex");
+    assert.equal(done.headers["x-roundsman-signature"], `sha256=${sig}`);
+    const payload = JSON.parse(done.body);
+    assert.equal(payload.project.name, "a");
+    assert.equal(payload.status, "ok");
+    assert.equal(payload.result, "mock done");
+    assert.equal(payload.cost, 0.01);
+    assert.ok(Array.isArray(payload.files));
+
+    const outboxPath = path.join(xdgRoot, "roundsman", "webhook-outbox.jsonl");
+    const [failed] = fs.readFileSync(outboxPath, "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+    const flakySig = require("node:crypto").createHmac("sha256", "f1").update(failed.body).digest("hex");
+    assert.equal(failed.signature, `sha256=${flakySig}`);
+    // a post for a webhook that has since been removed from the config
+    fs.appendFileSync(outboxPath, `${JSON.stringify({ ...failed, id: "gone-1", url: `${base}/gone` })}\n`);
+    await c.waitFor(/\[R\] a t1/);
+    proc.stdin.write("/webhooks\n");
+    await c.waitFor(/outbox: 2 undelivered \(\/webhooks retry\)/);
+    assert.match(c.read(), /global\s+http:\/\/127\.0\.0\.1:\d+\/chat \(turn\.start, turn\.done, signed, 3 retries\)/);
+
+    failing = false;
+    proc.stdin.write("/webhooks retry\n");
+    await c.waitFor(/-> webhooks: 1 delivered, 0 still in the outbox, 1 dropped \(webhook no longer configured\)/);
+    assert.deepEqual(received.slice(2).map((r) => r.url), ["/flaky"]);
+    assert.equal(received[2].body, done.body);
+    assert.equal(received[2].headers["x-roundsman-signature"], `sha256=${flakySig}`);
+    assert.equal(fs.existsSync(outboxPath), false);
+
+    failing = true;
+    proc.stdin.write("/work again\n");
+    await c.waitFor(/\[done\] a [\s\S]*\[done\] a /);
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+    assert.match(c.read(), /webhooks: \d pending deliver(y|ies) kept in the outbox/);
+    const kept = fs.readFileSync(outboxPath, "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+    const flaky = kept.find((row) => row.url === `${base}/flaky`);
+    assert.equal(flaky.event, "turn.done");
+    assert.equal(flaky.error, "roundsman shut down before delivery");
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    server.close();
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: non-JSON agent lines show as [raw] and are counted on the turn", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    fs.mkdirSync(path.join(tempRoot, "a"), { recursive: true });
+    writeJson(path.join(tempRoot, "a", "roundsman.json"), {});
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), { claudeBin: mockAgentPath, defaultPermissionMode: "acceptEdits" });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal", ROUNDSMAN_MOCK_RAW: "Warning: plain text from the cli" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+    proc.stdin.write("/workwait go\n");
+    await c.waitFor(/\[raw\] Warning: plain text from the cli/);
+    await c.waitFor(/-> wait complete for a/);
+    await c.waitFor(/\[R\] a t1/);
+    proc.stdin.write("/view\n");
+    await c.waitFor(/agent turns: 1 \| took \d+s \| 1 unparsed line\(s\)/);
+
+    const marker = JSON.parse(fs.readFileSync(path.join(tempRoot, "a", "roundsman.json"), "utf-8"));
+    assert.equal(marker.session.history[0].parseErrors, 1);
+    assert.equal(marker.session.history[0].result, "mock done");
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: stalled turns retry once in a loop and hung watch commands time out", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    fs.mkdirSync(path.join(tempRoot, "a"), { recursive: true });
+    writeJson(path.join(tempRoot, "a", "roundsman.json"), { watch: "trap '' TERM; sleep 30; echo late", watchTimeout: "1s", stallTimeout: "1s" });
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      timeoutRetries: 1,
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal", ROUNDSMAN_MOCK_SLEEP_MS: "5000" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+
+    proc.stdin.write("/loop 3 keep going\n");
+    await c.waitFor(/\[stalled\] no agent output for 1s; stopping/);
+    await c.waitFor(/\[loop retry\] 1\/3 after stalled \(SIGTERM\) \(retry 1\/1\) \(a\)/);
+    await c.waitFor(/\[loop stop\] a at 1\/3: stopped: stalled \(SIGTERM\)/);
+    await c.waitForCount("[R] a t0", 2);
+
+    proc.stdin.write("/watch\n");
+    await c.waitFor(/\[watch timeout\] still running after 1s; stopping/);
+    await c.waitFor(/\[watch timeout\] a/);
+    await c.waitForCount("[R] a t0", 3);
+
+    const marker = JSON.parse(fs.readFileSync(path.join(tempRoot, "a", "roundsman.json"), "utf-8"));
+    assert.equal(marker.session.turn, 0);
+    assert.equal(marker.stallTimeout, "1s");
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
+
+test("integration: a timed-out loop turn is not retried once a budget is reached", async () => {
+  const tempRoot = mkdtemp("roundsman-it-");
+  const xdgRoot = mkdtemp("roundsman-xdg-");
+  const roundsmanPath = path.resolve(__dirname, "..", "roundsman.js");
+  const mockAgentPath = path.resolve(__dirname, "fixtures", "mock-agent");
+  let proc = null;
+
+  try {
+    for (const name of ["a", "b"]) fs.mkdirSync(path.join(tempRoot, name), { recursive: true });
+    writeJson(path.join(tempRoot, "a", "roundsman.json"), { stallTimeout: "1s", timeoutRetries: 2 });
+    writeJson(path.join(tempRoot, "b", "roundsman.json"), {});
+    writeJson(path.join(xdgRoot, "roundsman", "config.json"), {
+      claudeBin: mockAgentPath,
+      defaultPermissionMode: "acceptEdits",
+      budget: { session: 0.01 },
+    });
+
+    proc = spawn(process.execPath, [roundsmanPath, tempRoot, "--no-color"], {
+      cwd: tempRoot,
+      env: { ...process.env, XDG_CONFIG_HOME: xdgRoot, ROUNDSMAN_MOCK_MODE: "normal", ROUNDSMAN_MOCK_SLEEP_MS: "5000", ROUNDSMAN_MOCK_SLEEP_IN: "a" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const c = makeCollector(proc);
+
+    await c.waitFor(/press enter to start \(or q to quit\) >/);
+    proc.stdin.write("\n");
+    await c.waitFor(/\[R\] a t0/);
+    proc.stdin.write("/loop 3 keep going\n");
+    await c.waitFor(/\[R\] b t0/);
+    proc.stdin.write("/work quick one\n");
+    await c.waitFor(/\[done\] b/);
+    await c.waitFor(/\[loop stop\] a at 1\/3: stopped: stalled \(SIGTERM\); not retried: session budget \$0\.01 reached/);
+    assert.doesNotMatch(c.read(), /\[loop retry\]/);
+
+    proc.stdin.write("/quit\n");
+    const [code] = await once(proc, "exit");
+    assert.equal(code, 0);
+  } finally {
+    if (proc && !proc.killed) proc.kill("SIGTERM");
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    fs.rmSync(xdgRoot, { recursive: true, force: true });
+  }
+});
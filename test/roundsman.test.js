@@ -5,40 +5,104 @@ const os = require("node:os");
 const path = require("node:path");
 
 const {
+  AGENT_ADAPTERS,
   buildPrompt,
+  buildAnswerInput,
+  buildApiStatus,
+  buildEventFilter,
+  buildFilesChangedInput,
   buildMetaSnapshot,
   buildProjectConfig,
+  buildReviewInput,
+  buildRuntimeState,
+  buildSendInput,
+  buildUsageReport,
+  captureOutput,
+  describeAgentStatus,
   collectBroadcastTargets,
   collectDuplicateRepoBranches,
+  computeVisitOrder,
+  createVisitRounds,
+  countMissedRuns,
   consumeStreamChunk,
+  consumeStreamTail,
+  createOutputTail,
+  createStreamDecoder,
   createProjectConfig,
   initProjectConfig,
   dropProject,
+  drainPendingTurns,
+  extractWaitQuestion,
+  finishTask,
+  formatEventLine,
+  formatTerminalNotification,
   formatRepoTag,
+  getBudgetBlock,
+  getGlobalBudgetBlock,
+  getLoopBudgetBlock,
+  globToRegExp,
+  isAwaitingAnswer,
+  isConnectionClosed,
   isInputWaitEvent,
+  isQuietTime,
+  listWatchDirs,
   killProject,
+  loadDailySpend,
+  moveTask,
+  nextScheduleRun,
+  normalizeAgentStatus,
   normalizeConfig,
   normalizeGlobalConfig,
+  normalizeNotify,
+  normalizeWebhooks,
   normalizeHooks,
+  normalizeSchedule,
   normalizeSession,
+  normalizeWatchFiles,
   parseAction,
+  parseAgentStatus,
   parseBangInput,
   parseCliArgs,
   parseDurationMs,
+  parseDurationSetting,
+  parseJsonObject,
   parseLoopCommand,
+  parseSinceMs,
+  parseReviewVerdict,
+  parseTaskIndex,
   parseTodoInput,
+  pickNextProject,
+  publishEvent,
   buildInitSeed,
   refreshSnoozed,
+  resolveAgentBackend,
+  resolveTimeouts,
+  resolveWorkTurn,
+  resolveProjectWorktree,
   resolveHookAction,
+  resolveRevertStart,
+  restoreRuntimeState,
+  rmLog,
   rotateQueue,
+  runAgent,
   skipProjectRounds,
   snoozeProject,
+  setProjectState,
+  signWebhookBody,
+  startAgentTurn,
+  subscribeEvents,
+  sumLedgerSpend,
   stopLoop,
+  takeNextTodo,
   toProgressLine,
+  withOutputCapture,
+  worktreeBranchName,
   applyStreamEvent,
   hasSuccessfulTurn,
 } = require("../roundsman.js");
 
+const MOCK_AGENT = path.join(__dirname, "fixtures", "mock-agent");
+
 test("normalizeSession defaults and trims history", () => {
   const s = normalizeSession({
     turn: -3,
@@ -68,15 +132,15 @@ test("normalizeConfig coerces list fields and defaults missing arrays", () => {
   assert.deepEqual(c.done, ["x", "2"]);
   assert.deepEqual(c.macros, { quick: "do thing" });
   assert.equal(c.watch, "./wait.sh");
-  assert.deepEqual(c.hooks, { beforeVisit: "", afterVisit: "", afterWatchSuccess: "summarize unread mail" });
+  assert.deepEqual(c.hooks, { beforeVisit: "", afterVisit: "", afterWatchSuccess: "summarize unread mail", afterFilesChanged: "" });
 });
 
 test("normalizeHooks trims known fields and defaults missing hooks", () => {
   assert.deepEqual(
     normalizeHooks({ beforeVisit: "  !git status  ", afterWatchSuccess: "  summarize  " }),
-    { beforeVisit: "!git status", afterVisit: "", afterWatchSuccess: "summarize" },
+    { beforeVisit: "!git status", afterVisit: "", afterWatchSuccess: "summarize", afterFilesChanged: "" },
   );
-  assert.deepEqual(normalizeHooks(null), { beforeVisit: "", afterVisit: "", afterWatchSuccess: "" });
+  assert.deepEqual(normalizeHooks(null), { beforeVisit: "", afterVisit: "", afterWatchSuccess: "", afterFilesChanged: "" });
 });
 
 test("resolveHookAction uses ! for shell and plain text for prompt", () => {
@@ -181,6 +245,10 @@ test("parseCliArgs parses commands and flags", () => {
     json: false,
     dryRun: false,
     noColor: false,
+    resume: false,
+    since: "",
+    text: "",
+    macro: "",
   });
   assert.deepEqual(parseCliArgs(["list", "--json", "/tmp"]), {
     command: "list",
@@ -189,6 +257,10 @@ test("parseCliArgs parses commands and flags", () => {
     json: true,
     dryRun: false,
     noColor: false,
+    resume: false,
+    since: "",
+    text: "",
+    macro: "",
   });
   assert.deepEqual(parseCliArgs(["--dry-run", "~/Code"]), {
     command: "run",
@@ -197,6 +269,10 @@ test("parseCliArgs parses commands and flags", () => {
     json: false,
     dryRun: true,
     noColor: false,
+    resume: false,
+    since: "",
+    text: "",
+    macro: "",
   });
   assert.deepEqual(parseCliArgs(["list", "--no-color"]), {
     command: "list",
@@ -205,7 +281,26 @@ test("parseCliArgs parses commands and flags", () => {
     json: false,
     dryRun: false,
     noColor: true,
+    resume: false,
+    since: "",
+    text: "",
+    macro: "",
   });
+  assert.equal(parseCliArgs(["~/Code", "--resume"]).resume, true);
+  assert.deepEqual(
+    [parseCliArgs(["usage", "--since", "7d", "--json"]).command, parseCliArgs(["usage", "--since", "7d"]).since],
+    ["usage", "7d"],
+  );
+  assert.equal(parseCliArgs(["usage", "--since=2026-01-01"]).since, "2026-01-01");
+  assert.deepEqual(
+    [parseCliArgs(["status", "--json"]).command, parseCliArgs(["status", "--json"]).json],
+    ["status", true],
+  );
+  assert.deepEqual([parseCliArgs(["tail", "api"]).command, parseCliArgs(["tail", "api"]).pathArg], ["tail", "api"]);
+  assert.deepEqual(
+    (({ command, pathArg, text, macro }) => ({ command, pathArg, text, macro }))(parseCliArgs(["send", "api", "fix", "the", "--macro", "ship", "build"])),
+    { command: "send", pathArg: "api", text: "fix the build", macro: "ship" },
+  );
 });
 
 test("normalizeGlobalConfig keeps model and api key env var", () => {
@@ -217,6 +312,7 @@ test("normalizeGlobalConfig keeps model and api key env var", () => {
   assert.equal(g.apiKeyEnvVar, "ROUNDSMAN_ANTHROPIC_API_KEY");
   assert.equal(g.checkpoint.enabled, false);
   assert.equal(g.checkpoint.autoInitGit, false);
+  assert.equal(g.checkpoint.snapshots, false);
 });
 
 test("parseLoopCommand parses max and goal", () => {
@@ -235,10 +331,98 @@ test("parseDurationMs parses common units", () => {
   assert.equal(parseDurationMs("0m"), 0);
 });
 
+test("parseDurationSetting treats numbers as seconds and strings as durations", () => {
+  assert.equal(parseDurationSetting(90, 5), 90 * 1000);
+  assert.equal(parseDurationSetting(30, 5), 30 * 1000);
+  assert.equal(parseDurationSetting("30", 5), 30 * 1000);
+  assert.equal(parseDurationSetting(" 30 ", 5), 30 * 1000);
+  assert.equal(parseDurationSetting("30m", 5), 30 * 60 * 1000);
+  assert.equal(parseDurationSetting("2m", 5), 2 * 60 * 1000);
+  assert.equal(parseDurationSetting("off", 5), 0);
+  assert.equal(parseDurationSetting(0, 5), 0);
+  assert.equal(parseDurationSetting("soon", 5), 5);
+  assert.equal(parseDurationSetting(undefined, 5), 5);
+});
+
+test("normalizeNotify keeps known channels, events and quiet hours", () => {
+  assert.deepEqual(normalizeGlobalConfig({}).notify, {
+    terminal: "",
+    command: "",
+    webhook: "",
+    events: ["done", "error", "needs-input", "budget"],
+    quietHours: "",
+  });
+  assert.deepEqual(normalizeNotify({
+    terminal: "osc9",
+    command: " notify-send roundsman ",
+    webhook: "ftp://x",
+    events: ["Needs-Input", "nope", "budget"],
+    quietHours: "22:00-07:30",
+  }), {
+    terminal: "osc9",
+    command: "notify-send roundsman",
+    webhook: "",
+    events: ["needs-input", "budget"],
+    quietHours: "22:00-07:30",
+  });
+  assert.equal(normalizeNotify({ terminal: "beep", quietHours: "25:00-01:00" }).terminal, "");
+  assert.equal(normalizeNotify({ quietHours: "25:00-01:00" }).quietHours, "");
+});
+
+test("normalizeWebhooks keeps http hooks with known events and bounded retries", () => {
+  assert.deepEqual(normalizeWebhooks({ url: " https://chat.example/hook " }), [
+    { url: "https://chat.example/hook", secret: "", events: ["turn.start", "turn.done", "loop.done", "watch.exit", "meta.done"], retries: 3 },
+  ]);
+  assert.deepEqual(normalizeWebhooks([
+    { url: "http://localhost:9/x", secret: "s", events: ["turn.done", "nope"], retries: 50 },
+    { url: "file:///tmp/x" },
+    "https://bare.example",
+  ]), [{ url: "http://localhost:9/x", secret: "s", events: ["turn.done"], retries: 10 }]);
+  assert.deepEqual(normalizeConfig({}).webhooks, []);
+  assert.deepEqual(normalizeGlobalConfig({}).webhooks, []);
+});
+
+test("signWebhookBody is an HMAC-SHA256 of the body", () => {
+  const expected = require("node:crypto").createHmac("sha256", "k").update('{"a":1}').digest("hex");
+  assert.equal(signWebhookBody("k", '{"a":1}'), `sha256=${expected}`);
+});
+
+test("isQuietTime handles ranges that wrap past midnight", () => {
+  const at = (h, m) => new Date(2026, 0, 1, h, m);
+  assert.equal(isQuietTime("22:00-07:00", at(23, 30)), true);
+  assert.equal(isQuietTime("22:00-07:00", at(6, 59)), true);
+  assert.equal(isQuietTime("22:00-07:00", at(7, 0)), false);
+  assert.equal(isQuietTime("12:00-13:00", at(12, 30)), true);
+  assert.equal(isQuietTime("12:00-13:00", at(13, 30)), false);
+  assert.equal(isQuietTime("", at(12, 0)), false);
+});
+
+test("formatTerminalNotification builds bell and OSC sequences", () => {
+  assert.equal(formatTerminalNotification("bell", "t", "m"), "\x07");
+  assert.equal(formatTerminalNotification("osc9", "roundsman: a", "done\nok"), "\x1b]9;roundsman: a: done ok\x07");
+  assert.equal(formatTerminalNotification("osc777", "a;b", "m"), "\x1b]777;notify;a b;m\x07");
+  assert.equal(formatTerminalNotification("", "t", "m"), "");
+});
+
+test("normalizeGlobalConfig resolves hook timeout", () => {
+  assert.equal(normalizeGlobalConfig({}).hookTimeoutMs, 60 * 1000);
+  assert.equal(normalizeGlobalConfig({ hookTimeout: "5s" }).hookTimeoutMs, 5 * 1000);
+});
+
+test("resolveTimeouts lets marker values override or disable the global ones", () => {
+  const g = normalizeGlobalConfig({ turnTimeout: "30m", stallTimeout: 120, watchTimeout: "2h", timeoutRetries: 2 });
+  assert.deepEqual(resolveTimeouts({}, normalizeGlobalConfig({})), { turnMs: 0, stallMs: 0, watchMs: 0, retries: 0 });
+  assert.deepEqual(resolveTimeouts({}, g), { turnMs: 30 * 60 * 1000, stallMs: 120 * 1000, watchMs: 2 * 60 * 60 * 1000, retries: 2 });
+  assert.deepEqual(
+    resolveTimeouts({ turnTimeout: "off", stallTimeout: "5m", watchTimeout: "bogus", timeoutRetries: 99 }, g),
+    { turnMs: 0, stallMs: 5 * 60 * 1000, watchMs: 2 * 60 * 60 * 1000, retries: 10 },
+  );
+});
+
 test("stopLoop is loop-only", () => {
   let killed = 0;
   const q = [];
-  const p = { name: "a", loop: null, proc: { kill() { killed += 1; } }, state: "working", stopReason: "" };
+  const p = { name: "a", loop: null, run: { kill() { killed += 1; } }, state: "working", stopReason: "" };
   assert.equal(stopLoop(p, q, "requested"), false);
   assert.equal(killed, 0);
   assert.equal(q.length, 0);
@@ -260,6 +444,7 @@ test("createProjectConfig writes default roundsman.json", () => {
       beforeVisit: "",
       afterVisit: "",
       afterWatchSuccess: "",
+      afterFilesChanged: "",
     },
     macros: {},
   });
@@ -277,6 +462,7 @@ test("buildProjectConfig applies prompt and todos", () => {
       beforeVisit: "",
       afterVisit: "",
       afterWatchSuccess: "",
+      afterFilesChanged: "",
     },
     macros: {},
   });
@@ -371,13 +557,48 @@ test("toProgressLine does not truncate agent text", () => {
 });
 
 test("consumeStreamChunk parses newline-delimited chunks", () => {
-  const s = { lineBuf: "" };
+  const s = { parts: [] };
   const lines = [];
   consumeStreamChunk("{\"a\":1}\n{\"b\":", s, (line) => lines.push(line));
   consumeStreamChunk("2}\n", s, (line) => lines.push(line));
   assert.deepEqual(lines, ['{"a":1}', '{"b":2}']);
 });
 
+test("consumeStreamChunk joins a large event split across many chunks", () => {
+  const s = {};
+  const lines = [];
+  const big = JSON.stringify({ type: "assistant", text: "x".repeat(3 * 1024 * 1024) });
+  for (let i = 0; i < big.length; i += 4096) consumeStreamChunk(big.slice(i, i + 4096), s, (line) => lines.push(line));
+  assert.equal(lines.length, 0);
+  consumeStreamChunk("\ntail", s, (line) => lines.push(line));
+  consumeStreamTail(s, (line) => lines.push(line));
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0].length, big.length);
+  assert.equal(lines[1], "tail");
+});
+
+test("createStreamDecoder folds events, counts undecodable lines and reports them raw", () => {
+  const events = [];
+  const raw = [];
+  const d = createStreamDecoder(AGENT_ADAPTERS.claude, { onEvent: (e) => events.push(e), onRaw: (l) => raw.push(l) });
+  d.push('{"type":"assistant","text":"hi"}\nWarning: something');
+  d.push(' odd\n{"result":"ok","total_cost_usd":0.5,"num_turns":2,"session_id":"s1"}');
+  d.end();
+  assert.equal(events.length, 2);
+  assert.deepEqual(raw, ["Warning: something odd"]);
+  assert.deepEqual(
+    [d.state.result, d.state.cost, d.state.turns, d.state.sessionId, d.state.streamSeen, d.state.parseErrors],
+    ["ok", 0.5, 2, "s1", true, 1],
+  );
+  assert.ok(d.stdout().startsWith('{"type":"assistant"'));
+});
+
+test("createOutputTail keeps only the last max chars", () => {
+  const t = createOutputTail(10);
+  for (let i = 0; i < 10; i++) t.push("abcdef");
+  assert.equal(t.text(), "cdefabcdef");
+});
+
 test("applyStreamEvent updates result and usage fields", () => {
   const s = { result: "", cost: 0, turns: 0, sessionId: "" };
   applyStreamEvent(s, { result: "done", total_cost_usd: 0.12, num_turns: 2, session_id: "abc" });
@@ -410,19 +631,39 @@ test("hasSuccessfulTurn requires at least one non-error result", () => {
   );
 });
 
-test("isInputWaitEvent matches wait events and messages", () => {
+test("isInputWaitEvent matches wait event types but not message text", () => {
   assert.equal(isInputWaitEvent({ type: "user_input_required" }), true);
-  assert.equal(isInputWaitEvent({ type: "system", message: "Waiting for user input to continue" }), true);
+  assert.equal(isInputWaitEvent({ type: "system", message: "Waiting for user input to continue" }), false);
   assert.equal(isInputWaitEvent({ type: "assistant", message: "continuing work" }), false);
 });
 
 test("isInputWaitEvent matches wrapped wait events", () => {
+  assert.equal(isInputWaitEvent({ event: { type: "input_request", message: "?" } }), true);
   assert.equal(
     isInputWaitEvent({ event: { type: "system", message: "Waiting for user input to continue" } }),
-    true,
+    false,
   );
 });
 
+test("parseAgentStatus reads the trailing status line and strips it", () => {
+  const out = parseAgentStatus('Looked around.\nroundsman-status: {"status":"needs-input","question":"Which DB?"}');
+  assert.deepEqual(out.status, { status: "needs_input", question: "Which DB?", reason: "" });
+  assert.equal(out.result, "Looked around.");
+  assert.equal(describeAgentStatus(out.status), "needs input: Which DB?");
+
+  const bad = parseAgentStatus("done\nroundsman-status: {oops");
+  assert.equal(bad.status, null);
+  assert.equal(bad.result, "done\nroundsman-status: {oops");
+  assert.equal(parseAgentStatus("plain result").status, null);
+});
+
+test("normalizeAgentStatus accepts only documented statuses", () => {
+  assert.deepEqual(normalizeAgentStatus({ status: "blocked", reason: " no creds " }), { status: "blocked", question: "", reason: "no creds" });
+  assert.equal(normalizeAgentStatus({ status: "sleepy" }), null);
+  assert.equal(normalizeAgentStatus("done"), null);
+  assert.equal(describeAgentStatus(normalizeAgentStatus({ status: "done" })), "done");
+});
+
 test("createProjectConfig fails when marker already exists", () => {
   const dir = fs.mkdtempSync(path.join(os.tmpdir(), "roundsman-test-"));
   fs.writeFileSync(path.join(dir, ".roundsman"), "");
@@ -469,6 +710,7 @@ test("initProjectConfig updates existing marker file", () => {
       beforeVisit: "!git status",
       afterVisit: "",
       afterWatchSuccess: "",
+      afterFilesChanged: "",
     },
     macros: { quick: "ship" },
     team: "infra",
@@ -487,7 +729,7 @@ test("initProjectConfig creates roundsman.json when marker missing", () => {
 test("stopLoop kills loop process and requeues", () => {
   let killed = 0;
   const q = [];
-  const p = { name: "a", loop: { done: 0, max: 2, goal: "x" }, proc: { kill() { killed += 1; } }, state: "working", stopReason: "" };
+  const p = { name: "a", loop: { done: 0, max: 2, goal: "x" }, run: { kill() { killed += 1; } }, state: "working", stopReason: "" };
   assert.equal(stopLoop(p, q, "requested"), true);
   assert.equal(p.loop, null);
   assert.equal(p.state, "idle");
@@ -499,7 +741,7 @@ test("stopLoop kills loop process and requeues", () => {
 test("killProject kills non-loop process and requeues", () => {
   let killed = 0;
   const q = [];
-  const p = { name: "a", loop: null, proc: { kill() { killed += 1; } }, state: "working", snoozeUntil: 10, stopReason: "" };
+  const p = { name: "a", loop: null, run: { kill() { killed += 1; } }, state: "working", snoozeUntil: 10, stopReason: "" };
   assert.equal(killProject(p, q, "requested"), true);
   assert.equal(p.state, "idle");
   assert.equal(p.snoozeUntil, 0);
@@ -514,7 +756,7 @@ test("killProject kills watcher process and requeues", () => {
   const p = {
     name: "a",
     loop: null,
-    proc: null,
+    run: null,
     watchProc: { kill() { killed += 1; } },
     watchStopReason: "",
     state: "watching",
@@ -530,7 +772,7 @@ test("killProject kills watcher process and requeues", () => {
 });
 
 test("snoozeProject then refreshSnoozed wakes project", async () => {
-  const p = { name: "a", loop: null, proc: null, state: "idle", snoozeUntil: 0 };
+  const p = { name: "a", loop: null, run: null, state: "idle", snoozeUntil: 0 };
   const q = [p];
   snoozeProject(p, q, 1);
   assert.equal(p.state, "snoozed");
@@ -542,11 +784,12 @@ test("snoozeProject then refreshSnoozed wakes project", async () => {
 });
 
 test("dropProject removes from queue and marks dropped", () => {
-  const p = { name: "a", loop: null, proc: null, state: "idle", snoozeUntil: 1000 };
+  const p = { name: "a", loop: null, run: null, state: "idle", snoozeUntil: 1000, inbox: [{ input: "x", label: '"x"', macro: "" }] };
   const q = [p];
   dropProject(p, q);
   assert.equal(p.state, "dropped");
   assert.equal(p.snoozeUntil, 0);
+  assert.deepEqual(p.inbox, []);
   assert.equal(q.length, 0);
 });
 
@@ -595,3 +838,684 @@ test("collectBroadcastTargets returns idle projects only", () => {
   assert.deepEqual(collectBroadcastTargets([a, b, c, d]), [a]);
   assert.deepEqual(collectBroadcastTargets(null), []);
 });
+
+test("buildRuntimeState records queue, snoozes, loops and in-flight input", () => {
+  const a = { dir: "/r/a", name: "a", state: "working", snoozeUntil: 0, loop: { max: 5, goal: "g", done: 2 }, turnInput: "g" };
+  const b = { dir: "/r/b", name: "b", state: "snoozed", snoozeUntil: 1234, loop: null, turnInput: "old" };
+  const c = { dir: "/r/c", name: "c", state: "idle", snoozeUntil: 0, loop: null, turnInput: "old", inbox: [{ input: "Ship it.", label: 'macro "ship"', macro: "ship" }] };
+  const out = buildRuntimeState([a, b, c], [c], { model: "m", startedAt: Date.parse("2026-03-01T10:00:00.000Z") });
+  assert.equal(out.model, "m");
+  assert.equal(out.startedAt, "2026-03-01T10:00:00.000Z");
+  assert.deepEqual(out.queue, ["/r/c"]);
+  assert.deepEqual(out.projects[0].loop, { max: 5, goal: "g", done: 2 });
+  assert.equal(out.projects[0].turnInput, "g");
+  assert.equal(out.projects[1].snoozeUntil, 1234);
+  assert.equal(out.projects[2].turnInput, "");
+  assert.deepEqual(out.projects[2].inbox, [{ input: "Ship it.", label: 'macro "ship"', macro: "ship" }]);
+  assert.deepEqual(out.projects[0].inbox, []);
+});
+
+test("restoreRuntimeState rebuilds queue and reports interrupted work", () => {
+  const mk = (name) => ({ dir: `/r/${name}`, name, state: "idle", snoozeUntil: 0, loop: null });
+  const [a, b, c, d, e] = ["a", "b", "c", "d", "e"].map(mk);
+  const saved = {
+    model: "",
+    startedAt: "2026-03-01T10:00:00.000Z",
+    queue: ["/r/c", "/r/a", "/r/gone"],
+    projects: [
+      { dir: "/r/a", state: "working", turnInput: "fix it", loop: null },
+      { dir: "/r/b", state: "snoozed", snoozeUntil: 2000, loop: null },
+      { dir: "/r/c", state: "idle", loop: null, inbox: [{ input: "fix docs", label: '"fix docs"', macro: "" }, { input: "" }, null] },
+      { dir: "/r/d", state: "dropped", loop: null, inbox: [{ input: "never", label: '"never"', macro: "" }] },
+      { dir: "/r/e", state: "working", loop: { max: 3, goal: "polish", done: 1 } },
+    ],
+  };
+  const out = restoreRuntimeState([a, b, c, d, e], saved, 1000);
+  assert.deepEqual(out.queue.map((p) => p.name), ["c", "a", "e"]);
+  assert.equal(out.model, "");
+  assert.equal(out.startedAt, Date.parse("2026-03-01T10:00:00.000Z"));
+  assert.equal(b.state, "snoozed");
+  assert.equal(b.snoozeUntil, 2000);
+  assert.equal(d.state, "dropped");
+  assert.deepEqual(c.inbox, [{ input: "fix docs", label: '"fix docs"', macro: "" }]);
+  assert.equal(d.inbox, undefined);
+  assert.deepEqual(out.interrupted.map((x) => [x.project.name, x.kind, x.input]), [["a", "agent", "fix it"]]);
+  assert.deepEqual(out.loops.map((x) => [x.project.name, x.loop.done, x.loop.max]), [["e", 1, 3]]);
+});
+
+test("restoreRuntimeState wakes expired snoozes", () => {
+  const a = { dir: "/r/a", name: "a", state: "idle", snoozeUntil: 0, loop: null };
+  const out = restoreRuntimeState([a], { projects: [{ dir: "/r/a", state: "snoozed", snoozeUntil: 10 }] }, 1000);
+  assert.equal(a.state, "idle");
+  assert.deepEqual(out.queue, [a]);
+  assert.equal(out.model, null);
+  assert.equal(out.startedAt, null);
+});
+
+test("normalizeGlobalConfig keeps valid backend definitions", () => {
+  const g = normalizeGlobalConfig({
+    defaultBackend: " codex ",
+    backends: {
+      codex: { type: "command", bin: "codex", args: ["exec", "{prompt}"], modelArg: "--model" },
+      nobin: { type: "command" },
+      weird: { type: "telepathy", bin: "x" },
+      alt: { bin: "/opt/claude" },
+    },
+  });
+  assert.equal(g.defaultBackend, "codex");
+  assert.deepEqual(Object.keys(g.backends), ["codex", "alt"]);
+  assert.equal(g.backends.alt.type, "claude");
+  assert.equal(normalizeGlobalConfig({}).defaultBackend, "claude");
+});
+
+test("resolveAgentBackend prefers project backend and falls back to built-in claude", () => {
+  const g = normalizeGlobalConfig({ claudeBin: "/bin/claude", backends: { plain: { type: "command", bin: "agent" } } });
+  assert.equal(resolveAgentBackend("", g).bin, "/bin/claude");
+  assert.equal(resolveAgentBackend("plain", g).adapter, AGENT_ADAPTERS.command);
+  assert.equal(resolveAgentBackend("missing", g), null);
+});
+
+test("claude adapter builds resume and session args", () => {
+  const backend = resolveAgentBackend("", normalizeGlobalConfig({}));
+  const turn = { prompt: "p", model: "m", permissionMode: "acceptEdits", sessionId: "s1", resume: true };
+  assert.deepEqual(AGENT_ADAPTERS.claude.buildArgs(backend, turn), [
+    "-p", "--output-format", "stream-json", "--verbose", "--permission-mode", "acceptEdits", "--model", "m", "--resume", "s1", "p",
+  ]);
+  assert.deepEqual(AGENT_ADAPTERS.claude.buildArgs(backend, { ...turn, model: "", resume: false }).slice(-3), ["--session-id", "s1", "p"]);
+});
+
+test("runAgent streams typed events and settles once with the parsed result", async () => {
+  const backend = resolveAgentBackend("", normalizeGlobalConfig({ claudeBin: MOCK_AGENT }));
+  const run = runAgent({ backend, cfg: normalizeGlobalConfig({}), cwd: os.tmpdir(), prompt: "p", sessionId: "s1" });
+  const seen = [];
+  const stderr = [];
+  run.on("event", (evt) => seen.push(evt.type || "result"));
+  run.on("stderr", (line) => stderr.push(line));
+  let dones = 0;
+  run.on("done", () => dones++);
+  const outcome = await run.finished;
+  assert.deepEqual(seen, ["assistant", "tool_use", "tool_result", "result"]);
+  assert.deepEqual(stderr, ["mock stderr line"]);
+  assert.equal(dones, 1);
+  assert.equal(outcome.result, "mock done");
+  assert.equal(outcome.cost, 0.01);
+  assert.equal(outcome.sessionId, "mock-session");
+  assert.equal(outcome.stopReason, "");
+});
+
+test("runAgent stops on an input wait and reports why", async () => {
+  const backend = resolveAgentBackend("", normalizeGlobalConfig({ claudeBin: MOCK_AGENT }));
+  const prev = process.env.ROUNDSMAN_MOCK_MODE;
+  process.env.ROUNDSMAN_MOCK_MODE = "wait-buffer";
+  let run;
+  try {
+    run = runAgent({ backend, cfg: normalizeGlobalConfig({}), cwd: os.tmpdir(), prompt: "p", sessionId: "s1" });
+  } finally {
+    if (prev === undefined) delete process.env.ROUNDSMAN_MOCK_MODE;
+    else process.env.ROUNDSMAN_MOCK_MODE = prev;
+  }
+  let waits = 0;
+  run.on("wait", () => waits++);
+  const outcome = await run.finished;
+  assert.equal(waits, 1);
+  assert.equal(outcome.waited, true);
+  assert.equal(outcome.stopReason, "agent requested user input");
+  assert.equal(outcome.result, "");
+});
+
+test("runAgent stops a run that outlives timeoutMs or goes quiet for stallMs", async () => {
+  const backend = resolveAgentBackend("", normalizeGlobalConfig({ claudeBin: MOCK_AGENT }));
+  const prev = process.env.ROUNDSMAN_MOCK_SLEEP_MS;
+  process.env.ROUNDSMAN_MOCK_SLEEP_MS = "5000";
+  const runs = [];
+  try {
+    const base = { backend, cfg: normalizeGlobalConfig({}), cwd: os.tmpdir(), prompt: "p" };
+    runs.push(runAgent({ ...base, timeoutMs: 300 }));
+    runs.push(runAgent({ ...base, stallMs: 300 }));
+  } finally {
+    if (prev === undefined) delete process.env.ROUNDSMAN_MOCK_SLEEP_MS;
+    else process.env.ROUNDSMAN_MOCK_SLEEP_MS = prev;
+  }
+  const expired = [];
+  for (const run of runs) run.on("timeout", (t) => expired.push(t));
+  const [timeout, stalled] = await Promise.all(runs.map((run) => run.finished));
+  assert.deepEqual(expired.map((t) => t.reason).sort(), ["stalled", "timeout"]);
+  assert.equal(timeout.stopReason, "timeout");
+  assert.equal(timeout.timedOut, true);
+  assert.equal(stalled.stopReason, "stalled");
+  assert.equal(stalled.result, "");
+});
+
+test("runAgent reports spawn failures as an error outcome", async () => {
+  const backend = resolveAgentBackend("", normalizeGlobalConfig({ claudeBin: path.join(os.tmpdir(), "roundsman-no-such-agent") }));
+  const outcome = await runAgent({ backend, cfg: normalizeGlobalConfig({}), cwd: os.tmpdir(), prompt: "p" }).finished;
+  assert.match(outcome.error, /ENOENT/);
+  assert.match(outcome.result, /^spawn error: /);
+});
+
+test("command adapter substitutes prompt placeholder and model flag", () => {
+  const backend = { args: ["exec", "--task={prompt}"], modelArg: "-m" };
+  assert.deepEqual(AGENT_ADAPTERS.command.buildArgs(backend, { prompt: "hi", model: "x" }), ["-m", "x", "exec", "--task=hi"]);
+  assert.deepEqual(AGENT_ADAPTERS.command.buildArgs({ args: [], modelArg: "" }, { prompt: "hi", model: "x" }), ["hi"]);
+  assert.deepEqual(AGENT_ADAPTERS.command.decodeLine("plain"), { type: "assistant", text: "plain" });
+  assert.equal(AGENT_ADAPTERS.command.finish({}, "line 1\nline 2\n").result, "line 1\nline 2");
+});
+
+test("resolveWorkTurn resumes the session or re-sends the task when the backend has none", () => {
+  const project = {
+    turnInput: "fix the build",
+    agentStatus: { status: "needs_input", question: "which target?", reason: "" },
+    backend: { adapter: AGENT_ADAPTERS.claude },
+  };
+  const resumed = resolveWorkTurn(project, "linux");
+  assert.deepEqual(resumed.opts, { resume: true });
+  assert.match(resumed.input, /^You asked:\n> which target\?\n\nAnswer: linux/);
+  project.backend = { adapter: AGENT_ADAPTERS.command };
+  const fresh = resolveWorkTurn(project, "linux");
+  assert.deepEqual(fresh.opts, {});
+  assert.match(fresh.input, /^fix the build\n\nYou asked:/);
+  project.agentStatus = null;
+  assert.deepEqual(resolveWorkTurn(project, "next"), { input: "next", opts: {}, answer: false });
+});
+
+test("claude adapter finish falls back to single json stdout", () => {
+  const out = AGENT_ADAPTERS.claude.finish(
+    { streamSeen: false },
+    JSON.stringify({ result: "r", total_cost_usd: 0.5, num_turns: 3, session_id: "s" }),
+  );
+  assert.deepEqual(out, { result: "r", cost: 0.5, turns: 3, sessionId: "s" });
+});
+
+test("startAgentTurn queues turns when no agent slot is free", () => {
+  const busy = { name: "busy", state: "working" };
+  const a = { name: "a", state: "idle" };
+  const b = { name: "b", state: "idle" };
+  const runtime = { projects: [busy, a, b], maxConcurrentAgents: 1, pendingTurns: [] };
+  assert.equal(startAgentTurn(a, "task a", runtime, () => {}), false);
+  assert.equal(startAgentTurn(b, "task b", runtime, () => {}), false);
+  assert.equal(a.state, "queued");
+  assert.equal(a.turnInput, "task a");
+  assert.deepEqual(runtime.pendingTurns.map((t) => t.project.name), ["a", "b"]);
+  assert.deepEqual(drainPendingTurns(runtime, () => {}), []);
+  assert.equal(runtime.pendingTurns.length, 2);
+});
+
+test("drainPendingTurns skips cancelled turns", () => {
+  const a = { name: "a", state: "idle", loop: null, run: null, snoozeUntil: 0, pendingHook: "" };
+  const busy = { name: "busy", state: "working" };
+  const runtime = { projects: [busy, a], maxConcurrentAgents: 1, pendingTurns: [] };
+  startAgentTurn(a, "task", runtime, () => {});
+  const q = [];
+  assert.equal(killProject(a, q, "requested"), true);
+  assert.equal(a.state, "idle");
+  assert.equal(a.pendingTurn, null);
+  assert.deepEqual(q, [a]);
+  busy.state = "idle";
+  assert.deepEqual(drainPendingTurns(runtime, () => {}), []);
+  assert.equal(runtime.pendingTurns.length, 0);
+});
+
+test("normalizeConfig and normalizeGlobalConfig keep positive budgets only", () => {
+  assert.deepEqual(normalizeConfig({ budget: { project: 5, loop: -1 } }).budget, { project: 5, loop: 0 });
+  assert.deepEqual(normalizeGlobalConfig({ budget: { session: 2.5, daily: "10" } }).budget, { session: 2.5, daily: 0 });
+});
+
+test("getBudgetBlock reports session, daily and project limits", () => {
+  const prevXdg = process.env.XDG_CONFIG_HOME;
+  process.env.XDG_CONFIG_HOME = fs.mkdtempSync(path.join(os.tmpdir(), "roundsman-xdg-"));
+  try {
+    const p = {
+      name: "a",
+      spent: 0,
+      loop: null,
+      config: normalizeConfig({ budget: { project: 1 } }),
+      globalConfig: normalizeGlobalConfig({ budget: { session: 2, daily: 3 } }),
+    };
+    assert.equal(getBudgetBlock(p, { totalCost: 0 }), "");
+    assert.match(getBudgetBlock(p, { totalCost: 2 }), /session budget \$2\.00 reached/);
+    p.spent = 1;
+    assert.match(getBudgetBlock(p, { totalCost: 1 }), /project budget \$1\.00 reached for a/);
+    p.spent = 0;
+    const file = path.join(process.env.XDG_CONFIG_HOME, "roundsman", "ledger.jsonl");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({ at: "1999-01-01T12:00:00.000Z", project: "a", cost: 3 })}\n`);
+    assert.equal(getBudgetBlock(p, { totalCost: 0 }), "");
+    fs.appendFileSync(file, `${JSON.stringify({ at: new Date().toISOString(), project: "(meta)", cost: 3 })}\n`);
+    assert.match(getBudgetBlock(p, { totalCost: 0 }), /daily budget \$3\.00 reached/);
+    assert.match(getGlobalBudgetBlock(p.globalConfig, { totalCost: 0 }), /daily budget \$3\.00 reached/);
+  } finally {
+    if (prevXdg === undefined) delete process.env.XDG_CONFIG_HOME;
+    else process.env.XDG_CONFIG_HOME = prevXdg;
+  }
+});
+
+test("loadDailySpend reads only what was appended since the last check", () => {
+  const prevXdg = process.env.XDG_CONFIG_HOME;
+  process.env.XDG_CONFIG_HOME = fs.mkdtempSync(path.join(os.tmpdir(), "roundsman-xdg-"));
+  try {
+    const day = "2026-03-01";
+    assert.deepEqual(loadDailySpend(day), { day, cost: 0 });
+    const file = path.join(process.env.XDG_CONFIG_HOME, "roundsman", "ledger.jsonl");
+    const row = (at, cost) => JSON.stringify({ at: at.toISOString(), cost });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${row(new Date(2026, 2, 1, 10), 1)}\n${row(new Date(1999, 0, 1, 10), 5)}\n`);
+    assert.equal(loadDailySpend(day).cost, 1);
+    // a half-written row waits for its newline
+    const next = row(new Date(2026, 2, 1, 11), 2);
+    fs.appendFileSync(file, next.slice(0, 10));
+    assert.equal(loadDailySpend(day).cost, 1);
+    fs.appendFileSync(file, `${next.slice(10)}\n`);
+    assert.equal(loadDailySpend(day).cost, 3);
+    // a new day or a replaced ledger starts over
+    assert.equal(loadDailySpend("1999-01-01").cost, 5);
+    fs.writeFileSync(file, `${row(new Date(2026, 2, 1, 12), 4)}\n`);
+    assert.equal(loadDailySpend(day).cost, 4);
+  } finally {
+    if (prevXdg === undefined) delete process.env.XDG_CONFIG_HOME;
+    else process.env.XDG_CONFIG_HOME = prevXdg;
+  }
+});
+
+test("sumLedgerSpend filters ledger rows by time, day and project dir", () => {
+  const rows = [
+    { at: "2026-03-01T10:00:00.000Z", dir: "/r/a", cost: 1 },
+    { at: "2026-03-01T11:00:00.000Z", dir: "/r/b", cost: 2 },
+    { at: "2026-03-01T12:00:00.000Z", dir: "/r/a", cost: 4 },
+    { at: "bogus", dir: "/r/a", cost: 8 },
+    { at: "2026-03-01T12:00:00.000Z", dir: "/r/a" },
+  ];
+  assert.equal(sumLedgerSpend(rows), 7);
+  assert.equal(sumLedgerSpend(rows, { sinceMs: Date.parse("2026-03-01T11:00:00.000Z") }), 6);
+  assert.equal(sumLedgerSpend(rows, { dir: "/r/a" }), 5);
+  assert.equal(sumLedgerSpend(rows, { day: "1999-01-01" }), 0);
+  assert.equal(sumLedgerSpend(null), 0);
+});
+
+test("getLoopBudgetBlock compares loop spend to the marker loop budget", () => {
+  const p = { loop: { max: 3, goal: "g", done: 1, spent: 0.5 }, config: normalizeConfig({ budget: { loop: 0.5 } }) };
+  assert.match(getLoopBudgetBlock(p), /loop budget \$0\.50 reached/);
+  p.loop.spent = 0.2;
+  assert.equal(getLoopBudgetBlock(p), "");
+});
+
+test("parseSinceMs accepts relative durations and dates", () => {
+  const now = Date.UTC(2026, 0, 10);
+  assert.equal(parseSinceMs("", now), 0);
+  assert.equal(parseSinceMs("2d", now), now - 2 * 24 * 60 * 60 * 1000);
+  assert.equal(parseSinceMs("2026-01-05", now), new Date(2026, 0, 5).getTime());
+  assert.equal(parseSinceMs("whenever", now), null);
+});
+
+test("buildUsageReport aggregates ledger rows by day, project, model and macro", () => {
+  const rows = [
+    { at: "2026-01-01T10:00:00.000Z", project: "a", model: "m1", macro: "audit", cost: 0.5, turns: 2, durationMs: 100, status: "ok" },
+    { at: "2026-01-02T10:00:00.000Z", project: "b", model: "", macro: "", cost: 0.25, turns: 1, durationMs: 50, status: "error" },
+    { at: "2026-01-03T10:00:00.000Z", project: "a", model: "m1", macro: "", cost: 1, turns: 3, durationMs: 10, status: "ok" },
+    { at: "not a date", project: "z", cost: 99 },
+  ];
+  const all = buildUsageReport(rows);
+  assert.equal(all.total.cost, 1.75);
+  assert.equal(all.total.count, 3);
+  assert.equal(all.total.errors, 1);
+  assert.deepEqual(all.byProject.map((r) => [r.key, r.cost, r.count]), [["a", 1.5, 2], ["b", 0.25, 1]]);
+  assert.deepEqual(all.byModel.map((r) => r.key), ["m1", "(default)"]);
+  assert.deepEqual(all.byMacro.map((r) => r.key), ["(none)", "audit"]);
+  assert.equal(all.byDay.length, 3);
+
+  const recent = buildUsageReport(rows, Date.parse("2026-01-02T00:00:00.000Z"));
+  assert.equal(recent.total.count, 2);
+  assert.equal(recent.since, "2026-01-02T00:00:00.000Z");
+});
+
+test("task list helpers move marker items between todos, doing and done", () => {
+  const c = normalizeConfig({ todos: ["a", "b"], doing: ["x"], done: [] });
+  assert.equal(parseTaskIndex("2", c.todos), 1);
+  assert.equal(parseTaskIndex("3", c.todos), -1);
+  assert.equal(parseTaskIndex("zero", c.todos), -1);
+  assert.equal(takeNextTodo(c), "a");
+  assert.deepEqual([c.todos, c.doing], [["b"], ["x", "a"]]);
+  assert.equal(finishTask(c, "a"), true);
+  assert.equal(finishTask(c, "a"), false);
+  assert.deepEqual([c.doing, c.done], [["x"], ["a"]]);
+  assert.equal(moveTask(c, "todos", "", 0), "b");
+  assert.equal(moveTask(c, "todos", "doing", 0), "");
+  assert.equal(takeNextTodo(c), "");
+});
+
+test("runtime state keeps the autopilot flag on loops", () => {
+  const a = { dir: "/r/a", name: "a", state: "working", snoozeUntil: 0, loop: { max: 2, goal: "t1", done: 0, autopilot: true }, turnInput: "" };
+  const saved = buildRuntimeState([a], [], { model: "" });
+  assert.deepEqual(saved.projects[0].loop, { max: 2, goal: "t1", done: 0, autopilot: true });
+  const b = { dir: "/r/a", name: "a", state: "idle", snoozeUntil: 0, loop: null };
+  const out = restoreRuntimeState([b], saved, 0);
+  assert.equal(out.loops[0].loop.autopilot, true);
+});
+
+test("answer flow helpers quote the open question", () => {
+  const p = { agentStatus: { status: "needs_input", question: "Which DB?\nPostgres or SQLite?", reason: "" } };
+  assert.equal(isAwaitingAnswer(p), true);
+  assert.equal(isAwaitingAnswer({ agentStatus: { status: "blocked" } }), false);
+  assert.equal(isAwaitingAnswer({ agentStatus: null }), false);
+  const input = buildAnswerInput(p.agentStatus.question, "SQLite");
+  assert.match(input, /^You asked:\n> Which DB\?\n> Postgres or SQLite\?\n\nAnswer: SQLite/);
+});
+
+test("extractWaitQuestion prefers an explicit question, then the last agent text", () => {
+  assert.equal(extractWaitQuestion({ type: "input_request", question: " Deploy now? " }, "older"), "Deploy now?");
+  assert.equal(extractWaitQuestion({ type: "input_request" }, "Should I delete it?"), "Should I delete it?");
+  assert.equal(extractWaitQuestion({ type: "input_request", message: "waiting" }, ""), "waiting");
+});
+
+test("restoreRuntimeState keeps open questions at the front of the queue", () => {
+  const mk = (name) => ({ dir: `/r/${name}`, name, state: "idle", snoozeUntil: 0, loop: null, agentStatus: null });
+  const [a, b] = ["a", "b"].map(mk);
+  const saved = {
+    queue: ["/r/a", "/r/b"],
+    projects: [
+      { dir: "/r/a", state: "idle", loop: null },
+      { dir: "/r/b", state: "idle", loop: null, agentStatus: { status: "needs_input", question: "?" } },
+    ],
+  };
+  const out = restoreRuntimeState([a, b], saved, 0);
+  assert.deepEqual(out.queue.map((p) => p.name), ["b", "a"]);
+  assert.equal(b.agentStatus.question, "?");
+});
+
+test("pickNextProject keeps flat round-robin for equal priorities", () => {
+  const mk = (name, extra = {}) => ({ name, state: "idle", config: normalizeConfig(extra), agentStatus: null, pinned: false });
+  const [a, b, c] = [mk("a"), mk("b"), mk("c")];
+  assert.equal(pickNextProject([a, b, c]), a);
+  assert.deepEqual(computeVisitOrder([a, b, c], 5).map((p) => p.name), ["a", "b", "c", "a", "b"]);
+  b.state = "working";
+  assert.equal(pickNextProject([b, c, a]), c);
+  assert.equal(pickNextProject([]), null);
+});
+
+test("pickNextProject weighs priority, errors, pins and open questions", () => {
+  const mk = (name, extra = {}) => ({ name, state: "idle", config: normalizeConfig(extra), agentStatus: null, pinned: false });
+  const a = mk("a");
+  const b = mk("b", { priority: 3 });
+  const c = mk("c");
+  const d = mk("d");
+  const order = computeVisitOrder([a, c, d, b], 8).map((p) => p.name);
+  assert.equal(order.filter((x) => x === "b").length > order.filter((x) => x === "a").length, true);
+
+  const e = mk("e", { session: { history: [{ result: "error: exit 1" }] } });
+  assert.equal(pickNextProject([a, e, c]), e);
+
+  d.pinned = true;
+  c.agentStatus = { status: "needs_input", question: "?", reason: "" };
+  assert.equal(pickNextProject([a, c, d]), d);
+  assert.deepEqual(computeVisitOrder([a, c, d], 3).map((p) => p.name), ["d", "c", "a"]);
+  assert.equal(normalizeConfig({ priority: -2 }).priority, 1);
+});
+
+test("pickNextProject honours /skip on a pinned project and ages by last visit", () => {
+  const mk = (name, extra = {}) => ({ name, state: "idle", config: normalizeConfig(extra), agentStatus: null, pinned: false });
+  const [a, b, c] = [mk("a"), mk("b"), mk("c")];
+  a.pinned = true;
+  const q = [a, b, c];
+  const rounds = createVisitRounds();
+  assert.equal(pickNextProject(q, rounds, 1000), a);
+  assert.equal(skipProjectRounds(q, a, 1, rounds), 1);
+  assert.equal(pickNextProject(q, rounds, 2000), b);
+  // a had its pinned turn this round; c has waited longest
+  assert.equal(pickNextProject(q, rounds, 3000), c);
+  // round over: the pin goes first again
+  assert.equal(pickNextProject(q, rounds, 4000), a);
+  assert.deepEqual(computeVisitOrder(q, 3, rounds, 4000).map((p) => p.name), ["b", "c", "a"]);
+  assert.equal(rounds.last, a);
+
+  // longest since last visit wins regardless of queue position
+  const fresh = createVisitRounds();
+  fresh.lastVisit.set(b, 500);
+  fresh.lastVisit.set(c, 100);
+  assert.equal(pickNextProject([b, c], fresh, 1000), c);
+});
+
+test("worktree isolation names a branch and path per project", () => {
+  const prev = process.env.XDG_CONFIG_HOME;
+  process.env.XDG_CONFIG_HOME = "/cfg";
+  try {
+    const p = { name: "my app", dir: "/repo/apps/my app", repoRoot: "/repo", repoName: "repo", branch: "main" };
+    assert.equal(worktreeBranchName(p), "roundsman/my-app-06d8a9");
+    const wt = resolveProjectWorktree(p);
+    assert.equal(wt.branch, "roundsman/my-app-06d8a9");
+    assert.equal(wt.base, "main");
+    assert.match(wt.root, /^\/cfg\/roundsman\/worktrees\/repo-[0-9a-f]{8}\/my-app-06d8a9$/);
+    assert.equal(wt.dir, path.join(wt.root, "apps", "my app"));
+    // same name, different path in the repo
+    const api = { name: "api", dir: "/repo/packages/api", repoRoot: "/repo", repoName: "repo", branch: "main" };
+    const other = { ...api, dir: "/repo/services/api" };
+    assert.equal(worktreeBranchName(api), "roundsman/api-13eb6e");
+    assert.equal(worktreeBranchName(other), "roundsman/api-fe3b7a");
+    assert.notEqual(resolveProjectWorktree(api).root, resolveProjectWorktree(other).root);
+    assert.equal(worktreeBranchName({ ...api, dir: "/repo" }), "roundsman/api-cdb4ee");
+    assert.equal(normalizeConfig({ isolation: "container" }).isolation, "");
+  } finally {
+    if (prev === undefined) delete process.env.XDG_CONFIG_HOME;
+    else process.env.XDG_CONFIG_HOME = prev;
+  }
+});
+
+test("collectDuplicateRepoBranches ignores worktree-isolated projects", () => {
+  const mk = (name, isolation = "") => ({ name, dir: `/r/${name}`, gitEnabled: true, repoRoot: "/r", repoName: "r", branch: "main", config: normalizeConfig({ isolation }) });
+  assert.equal(collectDuplicateRepoBranches([mk("a"), mk("b", "worktree")]).length, 0);
+  assert.equal(collectDuplicateRepoBranches([mk("a"), mk("b")]).length, 1);
+});
+
+test("review helpers build the prompt and read the verdict", () => {
+  const input = buildReviewInput("diff --git a/x b/x\n+y\n", 2);
+  assert.match(input, /last 2 turns in this project\. Do not modify any files\./);
+  assert.match(input, /```diff\ndiff --git a\/x b\/x\n\+y\n```$/);
+  assert.match(buildReviewInput("x".repeat(50000), 1), /\(diff truncated\)\n```$/);
+  assert.equal(parseReviewVerdict("**Verdict:** Request changes\n- bug"), "Request changes");
+  assert.equal(parseReviewVerdict("looks fine"), "");
+});
+
+test("normalizeSession keeps turn snapshots and review entries", () => {
+  const s = normalizeSession({
+    history: [
+      { result: "ok", preSha: "a1", postSha: "b2" },
+      { result: "Verdict: approve", kind: "review", verdict: "approve" },
+      { result: "x", kind: "bogus", preSha: 3 },
+    ],
+  });
+  assert.deepEqual(s.history.map((h) => [h.kind, h.verdict, h.preSha, h.postSha]), [
+    ["turn", "", "a1", "b2"],
+    ["review", "approve", "", ""],
+    ["turn", "", "", ""],
+  ]);
+  const [h] = normalizeSession({
+    history: [{ files: ["a.js", 3], insertions: 4, deletions: -1, durationMs: 1500 }],
+  }).history;
+  assert.deepEqual([h.files, h.insertions, h.deletions, h.durationMs], [["a.js"], 4, 0, 1500]);
+});
+
+test("resolveRevertStart picks the oldest entry to take back", () => {
+  const history = [
+    { kind: "turn", turn: 3 },
+    { kind: "turn", turn: 4 },
+    { kind: "review", turn: 5 },
+    { kind: "turn", turn: 6 },
+  ];
+  assert.deepEqual(resolveRevertStart(history, ""), { index: 3 });
+  assert.deepEqual(resolveRevertStart(history, "2"), { index: 1 });
+  assert.deepEqual(resolveRevertStart(history, "#3"), { index: 0 });
+  assert.deepEqual(resolveRevertStart(history, "#5"), { error: "no turn #5 in history" });
+  assert.deepEqual(resolveRevertStart(history, "4"), { error: "only 3 turns in history" });
+  assert.deepEqual(resolveRevertStart(history, "0"), { usage: true });
+  assert.deepEqual(resolveRevertStart([], ""), { error: "no turns yet" });
+});
+
+test("listWatchDirs walks subdirectories but skips ignored ones", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "roundsman-watchdirs-"));
+  try {
+    for (const d of ["src/lib", ".git/objects", "node_modules/x", "docs"]) fs.mkdirSync(path.join(root, d), { recursive: true });
+    fs.writeFileSync(path.join(root, "src", "a.js"), "");
+    const rel = listWatchDirs(root, new Set([".git", "node_modules"])).map((d) => path.relative(root, d) || ".");
+    assert.deepEqual(rel.sort(), [".", "docs", "src", "src/lib"]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("normalizeWatchFiles accepts a pattern list or an object with a debounce", () => {
+  assert.deepEqual(normalizeWatchFiles(undefined), { paths: [], debounce: "1s" });
+  assert.deepEqual(normalizeWatchFiles(["TODO.md", " "]), { paths: ["TODO.md"], debounce: "1s" });
+  assert.deepEqual(normalizeWatchFiles({ paths: "inbox/*", debounce: 0.5 }), { paths: ["inbox/*"], debounce: 0.5 });
+});
+
+test("globToRegExp matches project-relative paths", () => {
+  const todo = globToRegExp("./TODO.md");
+  assert.ok(todo.test("TODO.md"));
+  assert.ok(!todo.test("docs/TODO.md"));
+  const inbox = globToRegExp("inbox/*.md");
+  assert.ok(inbox.test("inbox/a.md"));
+  assert.ok(!inbox.test("inbox/sub/a.md"));
+  const any = globToRegExp("**/results-?.txt");
+  assert.ok(any.test("results-1.txt"));
+  assert.ok(any.test("test/out/results-2.txt"));
+  assert.ok(!any.test("test/out/results-10.txt"));
+});
+
+test("buildFilesChangedInput lists the changed paths after the hook prompt", () => {
+  assert.equal(buildFilesChangedInput("triage", ["a.md", "b.md"]), "triage\n\nChanged files:\n- a.md\n- b.md");
+});
+
+test("normalizeSchedule keeps interval and cron entries with a run target", () => {
+  assert.deepEqual(
+    normalizeSchedule([
+      { every: "1d", run: " audit ", lastRun: "2026-01-01T00:00:00.000Z", missed: 2 },
+      { cron: "0 9 * * 1-5", run: "triage", lastRun: "nope" },
+      { every: "soon", run: "x" },
+      { cron: "61 * * * *", run: "x" },
+      { every: "1h" },
+      "audit",
+    ]),
+    [
+      { every: "1d", run: "audit", lastRun: "2026-01-01T00:00:00.000Z", missed: 2 },
+      { cron: "0 9 * * 1-5", run: "triage", lastRun: "", missed: 0 },
+    ],
+  );
+  assert.deepEqual(normalizeSchedule(undefined), []);
+});
+
+test("nextScheduleRun follows intervals and cron expressions in local time", () => {
+  const at = (d, h, m) => new Date(2026, 0, d, h, m).getTime();
+  assert.equal(nextScheduleRun({ every: "2h" }, at(5, 8, 30)), at(5, 10, 30));
+  const weekdays = { cron: "0 9 * * 1-5" };
+  assert.equal(nextScheduleRun(weekdays, at(5, 8, 30)), at(5, 9, 0));
+  assert.equal(nextScheduleRun(weekdays, at(9, 9, 0)), at(12, 9, 0));
+  assert.equal(nextScheduleRun({ cron: "*/15 * * * *" }, at(5, 10, 7)), at(5, 10, 15));
+  assert.equal(nextScheduleRun({ cron: "0 0 1,15 * 0" }, at(5, 10, 0)), at(11, 0, 0));
+  assert.equal(nextScheduleRun({ cron: "0 0 31 2 *" }, at(5, 10, 0)), 0);
+});
+
+test("countMissedRuns counts runs due since the last one", () => {
+  const now = Date.parse("2026-01-04T12:00:00.000Z");
+  assert.equal(countMissedRuns({ every: "1d", lastRun: "2026-01-01T00:00:00.000Z" }, now), 3);
+  assert.equal(countMissedRuns({ every: "1d", lastRun: "2026-01-04T00:00:00.000Z" }, now), 0);
+  assert.equal(countMissedRuns({ every: "1d", lastRun: "" }, now), 0);
+});
+
+test("buildApiStatus summarizes projects in queue order", () => {
+  const mk = (name, extra = {}) => ({
+    name,
+    dir: `/tmp/${name}`,
+    state: "idle",
+    config: normalizeConfig({ session: { turn: 2, history: [{ result: "all\ngood" }] } }),
+    ...extra,
+  });
+  const a = mk("a", { agentStatus: { status: "needs_input", question: "which?" } });
+  const b = mk("b", { state: "snoozed", snoozeUntil: Date.parse("2026-01-01T00:00:00.000Z"), spent: 0.5 });
+  const out = buildApiStatus([a, b], [a], { totalCost: 0.5 });
+  assert.deepEqual(out.queue, ["a"]);
+  assert.deepEqual(out.projects.map((p) => [p.name, p.state, p.queuePosition, p.turn, p.lastResult]), [
+    ["a", "awaiting-answer", 0, 2, "all good"],
+    ["b", "snoozed", -1, 2, "all good"],
+  ]);
+  assert.equal(out.projects[1].snoozeUntil, "2026-01-01T00:00:00.000Z");
+});
+
+test("event bus publishes state changes to subscribers until unsubscribed", () => {
+  const seen = [];
+  const off = subscribeEvents((evt) => seen.push(evt));
+  const p = { name: "a", state: "idle" };
+  setProjectState(p, "working");
+  setProjectState(p, "working");
+  publishEvent("done", p, { cost: 0.1 });
+  off();
+  setProjectState(p, "idle");
+  assert.deepEqual(seen.map((e) => [e.type, e.project, e.from, e.to, e.cost]), [
+    ["state", "a", "idle", "working", undefined],
+    ["done", "a", undefined, undefined, 0.1],
+  ]);
+  assert.equal(p.state, "idle");
+});
+
+test("buildSendInput builds a prompt or macro turn", () => {
+  const config = normalizeConfig({ macros: { ship: "Ship it." } });
+  assert.deepEqual(buildSendInput(config, " fix auth ", ""), { input: "fix auth", label: '"fix auth"', macro: "" });
+  assert.deepEqual(buildSendInput(config, "", "ship"), { input: "Ship it.", label: 'macro "ship"', macro: "ship" });
+  assert.equal(buildSendInput(config, "skip docs", "ship").input, "Ship it.\n\nAdditional instruction: skip docs");
+  assert.match(buildSendInput(config, "", "nope").error, /macro not found: "nope"/);
+  assert.match(buildSendInput(config, "", "").error, /needs a prompt or a macro/);
+});
+
+test("withOutputCapture keeps overlapping captures apart", async () => {
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  const [a, b] = await Promise.all([
+    withOutputCapture(async () => {
+      rmLog("a1");
+      await tick();
+      rmLog("a2");
+      return "a";
+    }),
+    withOutputCapture(async () => {
+      await tick();
+      const inner = captureOutput(() => rmLog("b quiet"));
+      rmLog("b1");
+      return inner;
+    }),
+  ]);
+  assert.deepEqual(a, { value: "a", lines: ["a1", "a2"] });
+  assert.deepEqual(b, { value: ["b quiet"], lines: ["b1"] });
+});
+
+test("parseJsonObject returns objects and null for anything else", () => {
+  assert.deepEqual(parseJsonObject('{"a":1}'), { a: 1 });
+  assert.equal(parseJsonObject("[1]"), null);
+  assert.equal(parseJsonObject("null"), null);
+  assert.equal(parseJsonObject('{"a":'), null);
+  assert.equal(parseJsonObject(""), null);
+});
+
+test("isConnectionClosed tells a dropped connection from other tail errors", () => {
+  assert.equal(isConnectionClosed(new TypeError("terminated", { cause: Object.assign(new Error("other side closed"), { code: "UND_ERR_SOCKET" }) })), true);
+  assert.equal(isConnectionClosed(Object.assign(new Error("read ECONNRESET"), { code: "ECONNRESET" })), true);
+  assert.equal(isConnectionClosed(new SyntaxError("Unexpected token")), false);
+  assert.equal(isConnectionClosed(new Error("HTTP 401")), false);
+});
+
+test("formatEventLine renders each event type on one line", () => {
+  const at = "2026-03-01T10:20:30.000Z";
+  assert.equal(formatEventLine({ type: "activity", at, project: "a", msg: "[tool] Read x" }), "10:20:30 a [tool] Read x");
+  assert.equal(formatEventLine({ type: "state", at, project: "a", from: "idle", to: "working" }), "10:20:30 a [state] idle -> working");
+  assert.equal(formatEventLine({ type: "done", at, project: "a", cost: 0.5, stopped: true, result: "" }), "10:20:30 a [done] $0.5000 (stopped)");
+  assert.equal(
+    formatEventLine({ type: "loop", at, project: "a", autopilot: false, done: 2, max: 5, outcome: "stop", reason: "budget" }),
+    "10:20:30 a [loop] 2/5 stop (budget)",
+  );
+});
+
+test("buildEventFilter matches project selectors and event types", () => {
+  const projects = [{ name: "alpha", dir: "/x/alpha" }, { name: "beta", dir: "/x/beta" }];
+  const f = buildEventFilter(projects, new URLSearchParams("project=alp&type=done,state"));
+  assert.equal(f.match({ type: "done", project: "alpha" }), true);
+  assert.equal(f.match({ type: "activity", project: "alpha" }), false);
+  assert.equal(f.match({ type: "done", project: "beta" }), false);
+  assert.equal(buildEventFilter(projects, new URLSearchParams("")).match({ type: "loop", project: "beta" }), true);
+  assert.match(buildEventFilter(projects, new URLSearchParams("project=zzz")).error, /no project matched "zzz"/);
+  assert.match(buildEventFilter(projects, new URLSearchParams("type=bogus")).error, /unknown event type "bogus"/);
+});